@@ -0,0 +1,73 @@
+// dream-ludo-server/actionQueue.js
+
+"use strict";
+
+/**
+ * Serializes every change to one game's state.
+ *
+ * Game actions await Supabase writes partway through, so two actions started at the same time would
+ * otherwise interleave on the same `gameState`. `enqueue` runs actions one after another in arrival order.
+ * Delayed transitions (the roll animation, the pause before the turn passes, a bot's think time) are named
+ * timers: `schedule` replaces any pending timer of the same name, `cancel` drops it, and a timer that fires
+ * is enqueued like any other action.
+ */
+class GameActionQueue {
+    constructor(label = 'game') {
+        this.label = label;
+        this.tail = Promise.resolve();
+        this.pending = 0;
+        this.timers = new Map();
+    }
+
+    /**
+     * Runs `action` after every action queued before it. Resolves with its result; a failing action is
+     * logged and does not stop the queue.
+     */
+    enqueue(action) {
+        this.pending++;
+        const run = this.tail.then(action);
+        this.tail = run
+            .catch(e => console.error(`Action failed in ${this.label}:`, e))
+            .finally(() => { this.pending--; });
+        return run;
+    }
+
+    /**
+     * Queues `action` after `delay` ms under `name`, replacing a pending timer with the same name.
+     */
+    schedule(name, delay, action) {
+        this.cancel(name);
+        const timer = setTimeout(() => {
+            if (this.timers.get(name) !== timer) return;
+            this.timers.delete(name);
+            this.enqueue(action).catch(() => {}); // Already logged by enqueue.
+        }, delay);
+        this.timers.set(name, timer);
+    }
+
+    isScheduled(name) {
+        return this.timers.has(name);
+    }
+
+    cancel(name) {
+        const timer = this.timers.get(name);
+        if (!timer) return false;
+        clearTimeout(timer);
+        this.timers.delete(name);
+        return true;
+    }
+
+    cancelAll() {
+        for (const timer of this.timers.values()) clearTimeout(timer);
+        this.timers.clear();
+    }
+
+    /**
+     * Resolves once every action queued so far has finished.
+     */
+    idle() {
+        return this.tail;
+    }
+}
+
+module.exports = { GameActionQueue };
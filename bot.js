@@ -0,0 +1,191 @@
+// dream-ludo-server/bot.js
+
+"use strict";
+
+const {
+    PieceState, FINISH_POSITION_START,
+    getNewPositionInfo, getPieceProgress, getControlledPlayer
+} = require('./game');
+
+const BotDifficulty = { Easy: 'easy', Medium: 'medium', Hard: 'hard' };
+
+// Weights for the move heuristic used by medium and hard bots.
+const MOVE_WEIGHTS = {
+    capture: 100,
+    finish: 80,
+    leaveHome: 60,
+    enterHomeStretch: 40,
+    safeSpot: 30,
+    escapeThreat: 20,  // Per opponent piece that could have hit the piece where it stood.
+    threat: -25,       // Per opponent piece that can hit the piece where it lands.
+    step: 1,
+};
+
+const DICE_FACES = [1, 2, 3, 4, 5, 6];
+
+function isOnMainPath(piece) {
+    return piece.state === PieceState.Active && piece.position < FINISH_POSITION_START;
+}
+
+function isOpponent(gameState, a, b) {
+    if (a.color === b.color) return false;
+    return !(gameState.isTeamGame && a.teamId === b.teamId);
+}
+
+/**
+ * How many opponent pieces could land on `position` with their next roll.
+ */
+function countThreats(gameState, owner, position) {
+    if (position >= FINISH_POSITION_START || gameState.rules.safeSpots.includes(position)) return 0;
+    let threats = 0;
+    for (const opponent of gameState.players) {
+        if (opponent.isRemoved || !isOpponent(gameState, opponent, owner)) continue;
+        for (const piece of opponent.pieces) {
+            if (piece.state === PieceState.Finished) continue;
+            const canHit = DICE_FACES.some((d) => {
+                const next = getNewPositionInfo(piece, d, gameState.rules);
+                return next.state === PieceState.Active && next.position === position && next.position !== piece.position;
+            });
+            if (canHit) threats++;
+        }
+    }
+    return threats;
+}
+
+/**
+ * Scores a single move for the player whose pieces are being moved. Higher is better.
+ */
+function scoreMove(gameState, owner, piece, diceValue) {
+    const { rules } = gameState;
+    const next = getNewPositionInfo(piece, diceValue, rules);
+    const landed = { ...piece, position: next.position, state: next.state };
+    let score = (getPieceProgress(landed) - getPieceProgress(piece)) * MOVE_WEIGHTS.step;
+
+    if (next.state === PieceState.Finished) score += MOVE_WEIGHTS.finish;
+    if (piece.state === PieceState.Home) score += MOVE_WEIGHTS.leaveHome;
+    if (piece.position < FINISH_POSITION_START && next.position >= FINISH_POSITION_START) score += MOVE_WEIGHTS.enterHomeStretch;
+
+    if (isOnMainPath(landed)) {
+        if (rules.safeSpots.includes(landed.position)) {
+            score += MOVE_WEIGHTS.safeSpot;
+        } else {
+            const captures = gameState.players.some(p => isOpponent(gameState, p, owner)
+                && p.pieces.some(op => op.position === landed.position && op.state === PieceState.Active));
+            if (captures) score += MOVE_WEIGHTS.capture;
+        }
+        score += countThreats(gameState, owner, landed.position) * MOVE_WEIGHTS.threat;
+    }
+    if (isOnMainPath(piece)) score += countThreats(gameState, owner, piece.position) * MOVE_WEIGHTS.escapeThreat;
+    return score;
+}
+
+/**
+ * Applies a move to a copy of the board, including captures, without touching the real game.
+ */
+function simulateMove(gameState, ownerId, pieceId, diceValue) {
+    const players = JSON.parse(JSON.stringify(gameState.players));
+    const board = { ...gameState, players };
+    const owner = players.find(p => p.playerId === ownerId);
+    const piece = owner.pieces.find(p => p.id === pieceId);
+    const next = getNewPositionInfo(piece, diceValue, gameState.rules);
+    piece.position = next.position;
+    piece.state = next.state;
+
+    if (isOnMainPath(piece) && !gameState.rules.safeSpots.includes(piece.position)) {
+        for (const opponent of players) {
+            if (!isOpponent(board, opponent, owner)) continue;
+            for (const oppPiece of opponent.pieces) {
+                if (oppPiece.position === piece.position) {
+                    oppPiece.state = PieceState.Home;
+                    oppPiece.position = -1;
+                }
+            }
+        }
+    }
+    return board;
+}
+
+/**
+ * Static value of a board for a player: their team's progress, minus the progress their exposed
+ * pieces could lose (each hitting piece has roughly a 1 in 6 chance), against the strongest opponent's.
+ */
+function evaluateBoard(board, player) {
+    const progress = p => p.pieces.reduce((sum, piece) => sum + getPieceProgress(piece), 0);
+    const exposure = p => p.pieces.filter(isOnMainPath)
+        .reduce((sum, piece) => sum + countThreats(board, p, piece.position) * getPieceProgress(piece) / 6, 0);
+    let own = 0;
+    let bestOpponent = 0;
+    for (const p of board.players) {
+        if (p.isRemoved) continue;
+        if (isOpponent(board, p, player)) bestOpponent = Math.max(bestOpponent, progress(p));
+        else own += progress(p) - exposure(p);
+    }
+    return own - bestOpponent;
+}
+
+function getMovablePieces(gameState, owner, diceValue) {
+    return owner.pieces.filter((piece) => {
+        const next = getNewPositionInfo(piece, diceValue, gameState.rules);
+        return next.state !== piece.state || next.position !== piece.position;
+    });
+}
+
+function bestByScore(candidates, scoreOf) {
+    let best = null;
+    let bestScore = -Infinity;
+    for (const candidate of candidates) {
+        const score = scoreOf(candidate);
+        if (score > bestScore) {
+            best = candidate;
+            bestScore = score;
+        }
+    }
+    return best;
+}
+
+/**
+ * Expected board value after our move, averaged over every roll the next opponent could make
+ * and assuming they answer with their heuristic-best move.
+ */
+function lookAhead(gameState, player, owner, piece, diceValue) {
+    const board = simulateMove(gameState, owner.playerId, piece.id, diceValue);
+    const seat = gameState.players.indexOf(player);
+    const opponents = board.players.filter(p => !p.isRemoved && isOpponent(board, p, player));
+    if (opponents.length === 0) return evaluateBoard(board, player);
+
+    // The first opponent seated after us is the one who moves next.
+    const next = opponents.find(p => board.players.indexOf(p) > seat) || opponents[0];
+    const nextOwner = getControlledPlayer(board, next);
+    let total = 0;
+    for (const d of DICE_FACES) {
+        const replies = getMovablePieces(board, nextOwner, d);
+        const reply = bestByScore(replies, p => scoreMove(board, nextOwner, p, d));
+        total += evaluateBoard(reply ? simulateMove(board, nextOwner.playerId, reply.id, d) : board, player);
+    }
+    return total / DICE_FACES.length;
+}
+
+/**
+ * Picks the piece to move for the current player. Medium and hard bots are deterministic:
+ * ties go to the lowest piece id.
+ */
+function chooseMove(gameState, difficulty = BotDifficulty.Medium) {
+    const player = gameState.players[gameState.currentPlayerIndex];
+    const owner = getControlledPlayer(gameState, player);
+    const diceValue = gameState.diceValue;
+    const movable = owner.pieces
+        .filter(p => gameState.movablePieces.includes(p.id))
+        .sort((a, b) => a.id - b.id);
+    if (movable.length === 0) return null;
+
+    if (difficulty === BotDifficulty.Easy) {
+        return movable[Math.floor(Math.random() * movable.length)].id;
+    }
+    if (difficulty === BotDifficulty.Hard) {
+        // Blend the immediate heuristic in so captures and safety still break near-ties in the lookahead.
+        return bestByScore(movable, p => lookAhead(gameState, player, owner, p, diceValue) + scoreMove(gameState, owner, p, diceValue) / 2).id;
+    }
+    return bestByScore(movable, p => scoreMove(gameState, owner, p, diceValue)).id;
+}
+
+module.exports = { BotDifficulty, chooseMove, scoreMove };
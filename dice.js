@@ -0,0 +1,91 @@
+// dream-ludo-server/dice.js
+
+"use strict";
+
+const crypto = require('crypto');
+
+/**
+ * Provably fair dice using a commit-reveal scheme.
+ *
+ * Before a game the server picks a secret seed and publishes sha256(serverSeed) as the commitment.
+ * Every roll is derived from HMAC-SHA256(serverSeed, `${clientSeed}:${nonce}`): the digest bytes are read
+ * in order and the first byte below 252 gives `byte % 6 + 1` (bytes 252-255 are skipped so all faces are
+ * equally likely). The client seed is the players' seeds joined with ':' in seat order, fixed when the game
+ * starts. A player who sends no seed of their own gets sha256(`${commitment}:${playerId}`), which the server
+ * cannot pick after committing and anyone can recompute. Once the game is over the server seed is revealed and
+ * anyone can recompute every roll.
+ */
+
+const UNBIASED_BYTE_LIMIT = 252; // Largest multiple of 6 that fits in a byte.
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function randomSeed() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Starts a new fairness record for a game. The server seed goes into `secrets` and is never broadcast.
+ */
+function createFairness() {
+    const serverSeed = randomSeed();
+    return {
+        fairness: { commitment: sha256(serverSeed), clientSeeds: {}, clientSeed: null, nonce: 0 },
+        secrets: { serverSeed },
+    };
+}
+
+/**
+ * The seed of a player who has not sent one.
+ */
+function defaultClientSeed(commitment, playerId) {
+    return sha256(`${commitment}:${playerId}`);
+}
+
+/**
+ * Derives the die face for one nonce.
+ */
+function deriveRoll(serverSeed, clientSeed, nonce) {
+    for (let round = 0; ; round++) {
+        const message = round === 0 ? `${clientSeed}:${nonce}` : `${clientSeed}:${nonce}:${round}`;
+        const digest = crypto.createHmac('sha256', serverSeed).update(message).digest();
+        for (const byte of digest) {
+            if (byte < UNBIASED_BYTE_LIMIT) return (byte % 6) + 1;
+        }
+    }
+}
+
+/**
+ * Fixes the combined client seed once the seating is final.
+ */
+function lockClientSeed(gameState) {
+    const { fairness } = gameState;
+    fairness.clientSeed = gameState.players.map(p => fairness.clientSeeds[p.playerId]).join(':');
+}
+
+/**
+ * Draws the next roll for the game, returning the value and the nonce it was drawn with.
+ */
+function rollDie(gameState) {
+    const { fairness, secrets } = gameState;
+    const nonce = fairness.nonce++;
+    return { value: deriveRoll(secrets.serverSeed, fairness.clientSeed, nonce), nonce };
+}
+
+/**
+ * Re-derives every roll recorded in `turn_history` and checks it against the revealed seed.
+ */
+function verifyGame({ serverSeed, commitment, clientSeed, turnHistory }) {
+    const commitmentValid = sha256(serverSeed) === commitment;
+    const rolls = turnHistory.filter(entry => entry.roll).map(({ roll, userId, name }) => {
+        const expected = deriveRoll(serverSeed, clientSeed, roll.nonce);
+        // A forced roll overrides the drawn value, but the drawn value must still match the seed.
+        const valid = roll.rolled === expected && (roll.forced || roll.value === expected);
+        return { ...roll, userId, name, expected, valid };
+    });
+    return { commitmentValid, rolls, allValid: commitmentValid && rolls.every(r => r.valid) };
+}
+
+module.exports = { createFairness, defaultClientSeed, deriveRoll, lockClientSeed, randomSeed, rollDie, sha256, verifyGame };
@@ -1,17 +1,32 @@
-
 // /dream-ludo-server/game.js
 const { v4: uuidv4 } = require('uuid');
+const Dice = require('./dice');
+const { DEFAULT_RULES, resolveRules } = require('./rules');
+const { ReplayEvent, recordEvent } = require('./replay');
 
 // --- Enums and Constants (mirrored from frontend) ---
 const PlayerColor = { Red: 'Red', Green: 'Green', Blue: 'Blue', Yellow: 'Yellow' };
 const PieceState = { Home: 'Home', Active: 'Active', Finished: 'Finished' };
 const GameStatus = { Setup: 'Setup', Playing: 'Playing', Finished: 'Finished' };
+const GameMode = { Classic: 'classic', Quick: 'quick' };
 
 const TOTAL_PATH_LENGTH = 52;
 const HOME_STRETCH_LENGTH = 6;
 const FINISH_POSITION_START = 100;
-const TURN_TIME_LIMIT = 30;
+const TURN_TIME_LIMIT = 30; // Default seconds to roll.
+const MOVE_TIME_LIMIT = 20; // Default seconds to pick a piece after rolling.
+const MIN_PHASE_TIME_LIMIT = 5;
+const MAX_PHASE_TIME_LIMIT = 120;
 const MAX_INACTIVE_TURNS = 5; 
+const RECONNECT_GRACE_PERIOD = 60; // Seconds a disconnected player's turn waits before being auto-skipped.
+const QUICK_GAME_DURATION = 600; // Default length of a quick game in seconds.
+const MIN_QUICK_GAME_DURATION = 60;
+const MAX_QUICK_GAME_DURATION = 3600;
+const MAX_SPECTATORS = 100; // Default number of spectators a game admits, tournaments can set their own.
+
+// Quick mode: points per step moved, bonuses for captures and finished pieces.
+// A captured piece costs its owner the steps it had travelled.
+const QUICK_SCORING = { step: 1, capture: 20, finish: 50 };
 
 const START_POSITIONS = {
   [PlayerColor.Green]: 1,
@@ -27,16 +42,21 @@ const PRE_HOME_POSITIONS = {
   [PlayerColor.Blue]: 25,
 };
 
-const SAFE_SPOTS = [1, 9, 14, 22, 27, 35, 40, 48];
 const ALL_COLORS = [PlayerColor.Red, PlayerColor.Green, PlayerColor.Blue, PlayerColor.Yellow];
 const TWO_PLAYER_COLORS = [PlayerColor.Green, PlayerColor.Blue];
+// Team games pair opposite corners and seat them so the teams alternate turns.
+const TEAM_COLORS = [PlayerColor.Red, PlayerColor.Green, PlayerColor.Yellow, PlayerColor.Blue];
+const TEAMS = [
+  { teamId: 0, colors: [PlayerColor.Red, PlayerColor.Yellow] },
+  { teamId: 1, colors: [PlayerColor.Green, PlayerColor.Blue] },
+];
 
 // --- Helper Functions ---
 
 /**
  * Creates the initial state for a single player.
  */
-function createPlayer(playerId, name, color, isHost = false) {
+function createPlayer(playerId, name, color, isHost = false, teamId = null) {
   const pieces = Array.from({ length: 4 }, (_, i) => ({
     id: ALL_COLORS.indexOf(color) * 4 + i,
     color: color,
@@ -49,9 +69,17 @@ function createPlayer(playerId, name, color, isHost = false) {
     color,
     pieces,
     isHost,
+    teamId,
+    isBot: false,
+    botDifficulty: null,
+    isBotControlled: false, // A bot is standing in for a disconnected human.
     hasFinished: false,
     isRemoved: false,
+    removedAt: null,
     inactiveTurns: 0,
+    score: 0,
+    isConnected: true,
+    disconnectedAt: null,
     consecutiveSixes: 0, // Rule 1.1: Track consecutive 6s
     rollsWithoutSix: 0,  // Rule 2: Track rolls without 6 when stuck
   };
@@ -60,8 +88,9 @@ function createPlayer(playerId, name, color, isHost = false) {
 /**
  * Calculates the new position of a piece after a move.
  */
-function getNewPositionInfo(piece, diceValue) {
-    if (piece.state === PieceState.Home && diceValue === 6) {
+function getNewPositionInfo(piece, diceValue, rules = DEFAULT_RULES) {
+    const lastPosition = FINISH_POSITION_START + HOME_STRETCH_LENGTH - 1;
+    if (piece.state === PieceState.Home && rules.entryRolls.includes(diceValue)) {
         return { position: START_POSITIONS[piece.color], state: PieceState.Active };
     }
 
@@ -69,8 +98,9 @@ function getNewPositionInfo(piece, diceValue) {
         let newPos;
         if (piece.position >= FINISH_POSITION_START) { // Already in home stretch
             newPos = piece.position + diceValue;
-            if (newPos === FINISH_POSITION_START + HOME_STRETCH_LENGTH - 1) return { position: newPos, state: PieceState.Finished };
-            if (newPos < FINISH_POSITION_START + HOME_STRETCH_LENGTH) return { position: newPos, state: PieceState.Active };
+            if (newPos === lastPosition) return { position: newPos, state: PieceState.Finished };
+            if (newPos < lastPosition) return { position: newPos, state: PieceState.Active };
+            if (!rules.exactRollToFinish) return { position: lastPosition, state: PieceState.Finished };
         } else { // On main path
             const preHomePos = PRE_HOME_POSITIONS[piece.color];
             // Calculate distance to the entry of the home stretch
@@ -82,6 +112,7 @@ function getNewPositionInfo(piece, diceValue) {
                     if (homeStretchPos === HOME_STRETCH_LENGTH - 1) return { position: newPos, state: PieceState.Finished };
                     return { position: newPos, state: PieceState.Active };
                 }
+                if (!rules.exactRollToFinish) return { position: lastPosition, state: PieceState.Finished };
             } else { // Stays on main path (using clearer 0-based calculation)
                 const zeroBasedPos = piece.position - 1;
                 const newZeroBasedPos = (zeroBasedPos + diceValue) % TOTAL_PATH_LENGTH;
@@ -94,13 +125,22 @@ function getNewPositionInfo(piece, diceValue) {
 }
 
 
+/**
+ * Number of steps a piece has travelled from its start square (0 at home, 57 when finished).
+ */
+function getPieceProgress(piece) {
+    if (piece.state === PieceState.Home) return 0;
+    if (piece.position >= FINISH_POSITION_START) return TOTAL_PATH_LENGTH + (piece.position - FINISH_POSITION_START) + 1;
+    return ((piece.position - START_POSITIONS[piece.color] + TOTAL_PATH_LENGTH) % TOTAL_PATH_LENGTH) + 1;
+}
+
 /**
  * Finds which pieces can legally move given a dice roll.
  */
-function calculateMovablePieces(player, diceValue) {
+function calculateMovablePieces(player, diceValue, rules = DEFAULT_RULES) {
     const movable = [];
     for (const piece of player.pieces) {
-        const { position: newPos, state: newState } = getNewPositionInfo(piece, diceValue);
+        const { position: newPos, state: newState } = getNewPositionInfo(piece, diceValue, rules);
         if (newState !== piece.state || newPos !== piece.position) {
             movable.push(piece.id);
         }
@@ -108,10 +148,50 @@ function calculateMovablePieces(player, diceValue) {
     return movable;
 }
 
+/**
+ * The other member of a player's team, or null outside team games.
+ */
+function getPartner(gameState, player) {
+    if (!gameState.isTeamGame) return null;
+    return gameState.players.find(p => p.teamId === player.teamId && p.playerId !== player.playerId) || null;
+}
+
+/**
+ * Whose pieces a player moves this turn: their own, or their partner's once all of theirs are home.
+ */
+function getControlledPlayer(gameState, player) {
+    if (!player.hasFinished) return player;
+    const partner = getPartner(gameState, player);
+    return partner && !partner.hasFinished ? partner : player;
+}
+
+/**
+ * A player still takes turns while they have pieces to move, their own or (in team games) their partner's.
+ */
+function isActivePlayer(gameState, player) {
+    if (player.isRemoved) return false;
+    return !getControlledPlayer(gameState, player).hasFinished;
+}
+
+function isTeammate(gameState, a, b) {
+    return gameState.isTeamGame && a.teamId === b.teamId;
+}
+
+function createTeamWinner(gameState, teamId) {
+    const members = gameState.players.filter(p => p.teamId === teamId);
+    return {
+        teamId,
+        name: members.map(p => p.name).join(' & '),
+        playerIds: members.map(p => p.playerId),
+        players: members.map(({ playerId, name, color }) => ({ playerId, name, color })),
+    };
+}
+
 /**
  * Helper to log turn activity to both in-memory state and database.
  */
 async function logTurnActivity(gameState, turnData, supabase) {
+    if (turnData.autoPlayed) turnData = { ...turnData, description: `${turnData.description} (auto-played)` };
     gameState.turn_history.push(turnData);
 
     if (gameState.tournamentId && supabase) {
@@ -129,6 +209,49 @@ async function logTurnActivity(gameState, turnData, supabase) {
     }
 }
 
+/**
+ * Records the end of the game in the replay log, once `winner` (and `standings`, if any) are set.
+ */
+function recordGameFinished(gameState) {
+    const { winner } = gameState;
+    recordEvent(gameState, ReplayEvent.GameFinished, {
+        winnerIds: winner ? (winner.playerIds || [winner.playerId]) : [],
+        standings: gameState.standings,
+        rankings: [...gameState.rankings],
+    });
+}
+
+/**
+ * Gives a player the next place in the finishing order.
+ */
+function addRanking(gameState, player, reason, rank = gameState.rankings.length + 1) {
+    gameState.rankings.push({ rank, playerId: player.playerId, name: player.name, reason, finishedAt: Date.now() });
+}
+
+/**
+ * Ends a classic game once at most one player is still racing. That player takes the next place and players
+ * who left take the last places, the most recent leaver first. The winner is the first player to finish,
+ * or the last one standing if nobody finished.
+ */
+async function completeRankings(gameState, supabase) {
+    const ranked = new Set(gameState.rankings.map(r => r.playerId));
+    const unranked = gameState.players.filter(p => !ranked.has(p.playerId));
+    unranked.filter(p => !p.isRemoved).forEach(p => addRanking(gameState, p, 'last-active'));
+    unranked.filter(p => p.isRemoved)
+        .sort((a, b) => b.removedAt - a.removedAt)
+        .forEach(p => addRanking(gameState, p, 'left'));
+
+    const top = gameState.rankings.find(r => r.reason !== 'left');
+    const winner = top ? gameState.players.find(p => p.playerId === top.playerId) : null;
+    gameState.winner = winner;
+    gameState.gameStatus = GameStatus.Finished;
+    gameState.diceValue = null;
+    gameState.isRolling = false;
+    gameState.movablePieces = [];
+    gameState.message = winner ? `${winner.name} wins the game!` : 'Game Over! No active players left.';
+    recordGameFinished(gameState);
+    await logTurnActivity(gameState, { description: winner ? `Game finished. Winner: ${winner.name}` : 'Game finished. No winner.' }, supabase);
+}
 
 /**
  * Moves to the next active player.
@@ -140,19 +263,16 @@ async function advanceTurn(gameState, supabase) {
     let checkedAll = 0;
     
     while (
-        (gameState.players[nextIndex].hasFinished || gameState.players[nextIndex].isRemoved) && 
+        !isActivePlayer(gameState, gameState.players[nextIndex]) && 
         checkedAll < gameState.players.length
     ) {
         nextIndex = (nextIndex + 1) % gameState.players.length;
         checkedAll++;
     }
 
-    const activePlayers = gameState.players.filter(p => !p.isRemoved && !p.hasFinished);
+    const activePlayers = gameState.players.filter(p => isActivePlayer(gameState, p));
     if (activePlayers.length === 0 && gameState.players.length > 1) {
-        gameState.gameStatus = GameStatus.Finished;
-        gameState.winner = null;
-        gameState.message = "Game Over! No active players left.";
-        await logTurnActivity(gameState, { description: `Game finished. No winner.` }, supabase);
+        await completeRankings(gameState, supabase);
         return;
     }
 
@@ -162,8 +282,9 @@ async function advanceTurn(gameState, supabase) {
     gameState.diceValue = null;
     gameState.isRolling = false;
     gameState.movablePieces = [];
-    gameState.turnTimeLeft = TURN_TIME_LIMIT;
+    gameState.turnTimeLeft = gameState.timeLimits.roll;
     gameState.message = `${gameState.players[nextIndex].name}'s turn.`;
+    recordEvent(gameState, ReplayEvent.TurnPassed, { playerId: gameState.players[nextIndex].playerId, currentPlayerIndex: nextIndex });
 }
 
 // --- Core Game Logic Functions ---
@@ -172,14 +293,46 @@ async function advanceTurn(gameState, supabase) {
  * Creates a new game state object.
  */
 function createNewGame(gameId, options = {}) {
-  const { hostId, hostName, type = 'manual', max_players = 2, players: initialPlayers = [], tournamentId } = options;
+  const {
+    hostId, hostName, type = 'manual', max_players = 2, players: initialPlayers = [], tournamentId, entry_fee = 0, rules,
+    mode = GameMode.Classic, duration = QUICK_GAME_DURATION, teams = false, botTakeover = false, timeLimits = {},
+    max_spectators = MAX_SPECTATORS, reservedFor = null, prize_distribution = null
+  } = options;
+  const phaseLimit = (value, fallback) => Math.min(MAX_PHASE_TIME_LIMIT, Math.max(MIN_PHASE_TIME_LIMIT, Number(value) || fallback));
+  const turnTimeLimits = { roll: phaseLimit(timeLimits?.roll, TURN_TIME_LIMIT), move: phaseLimit(timeLimits?.move, MOVE_TIME_LIMIT) };
+  const isQuick = mode === GameMode.Quick;
+  const isTeamGame = Boolean(teams) && max_players === 4 && !isQuick;
+  const clockDuration = Math.min(MAX_QUICK_GAME_DURATION, Math.max(MIN_QUICK_GAME_DURATION, Number(duration) || QUICK_GAME_DURATION));
+  const { fairness, secrets } = Dice.createFairness();
+  // Percentages of the prize for 1st, 2nd, ... place. Without one the winner takes the whole prize.
+  const isDistribution = Array.isArray(prize_distribution) && prize_distribution.length > 0 && prize_distribution.length <= max_players
+    && prize_distribution.every(p => Number.isFinite(p) && p >= 0) && prize_distribution.reduce((a, b) => a + b, 0) <= 100;
   
   const gameState = {
     gameId,
+    matchId: uuidv4(), // Unique to this game. The room code in `gameId` is reused once the room is closed.
     hostId,
     type,
     max_players,
     tournamentId,
+    entryFee: Number(entry_fee) || 0,
+    rules: resolveRules(rules),
+    mode: isQuick ? GameMode.Quick : GameMode.Classic,
+    clock: isQuick ? { duration: clockDuration, timeLeft: clockDuration } : null,
+    standings: null,
+    isTeamGame,
+    teams: isTeamGame ? TEAMS : null,
+    botTakeover: Boolean(botTakeover),
+    settlement: null,
+    prizeDistribution: isDistribution ? [...prize_distribution] : null,
+    maxSpectators: Number.isInteger(max_spectators) && max_spectators >= 0 ? max_spectators : MAX_SPECTATORS,
+    spectatorCount: 0,
+    reservedFor, // Ids of the only users who may take a seat, in seat order, e.g. a tournament's registered players.
+    bannedIds: [],
+    lobby: null, // Ready-check of tournament rooms, see lobby.js.
+    hasPassword: false, // See rooms.js.
+    feeRounds: {}, // Entry fees refunded or failed per player, see settlement.js.
+    isCancelled: false,
     players: [],
     playerOrder: [],
     currentPlayerIndex: 0,
@@ -189,11 +342,22 @@ function createNewGame(gameId, options = {}) {
     message: 'Waiting for players...',
     movablePieces: [],
     isRolling: false,
-    turnTimeLeft: TURN_TIME_LIMIT,
+    timeLimits: turnTimeLimits,
+    turnTimeLeft: turnTimeLimits.roll,
+    stateVersion: 0,
+    rankings: [], // Finishing order, see addRanking.
     chatMessages: [],
     turn_history: [],
+    eventLog: [], // Structured replay log, see replay.js.
+    fairness,
+    secrets, // Never sent to clients, see getPublicState.
   };
 
+  recordEvent(gameState, ReplayEvent.GameCreated, {
+    gameId, gameType: type, mode: gameState.mode, max_players, isTeamGame,
+    rules: gameState.rules, entryFee: gameState.entryFee, commitment: fairness.commitment,
+  });
+
   initialPlayers.forEach(p => addPlayer(gameState, p.id, p.name));
   
   return gameState;
@@ -208,63 +372,158 @@ function addPlayer(gameState, playerId, playerName) {
     if (gameState.players.some(p => p.playerId === playerId)) return;
 
     const isHost = gameState.players.length === 0;
-    let color;
-    if (gameState.max_players === 2) {
-        color = TWO_PLAYER_COLORS[gameState.players.length];
-    } else {
-        color = ALL_COLORS[gameState.players.length];
-    }
-    const player = createPlayer(playerId, playerName, color, isHost);
+    const colors = gameState.max_players === 2 ? TWO_PLAYER_COLORS : (gameState.isTeamGame ? TEAM_COLORS : ALL_COLORS);
+    // Reserved users own the seat at their position in `reservedFor`, so they get the same colour whenever they
+    // turn up. Anyone else picks the first free colour that is not held for someone.
+    const reservedSeat = gameState.reservedFor ? gameState.reservedFor.indexOf(playerId) : -1;
+    const heldColors = gameState.reservedFor ? colors.slice(0, gameState.reservedFor.length) : [];
+    const color = reservedSeat !== -1 && reservedSeat < colors.length
+        ? colors[reservedSeat]
+        : colors.find(c => !heldColors.includes(c) && !gameState.players.some(p => p.color === c));
+    if (!color || gameState.players.some(p => p.color === color)) return;
+    const teamId = gameState.isTeamGame ? TEAMS.find(t => t.colors.includes(color)).teamId : null;
+    const player = createPlayer(playerId, playerName, color, isHost, teamId);
+    // The room may have been opened by a spectator, the first player to sit down hosts it.
+    if (isHost) gameState.hostId = playerId;
     
-    gameState.players.push(player);
+    // Players sit in colour order, which is also the turn order, however late they join.
+    const seatIndex = gameState.players.findIndex(p => colors.indexOf(p.color) > colors.indexOf(color));
+    const index = seatIndex === -1 ? gameState.players.length : seatIndex;
+    gameState.players.splice(index, 0, player);
+    gameState.fairness.clientSeeds[playerId] = Dice.defaultClientSeed(gameState.fairness.commitment, playerId);
+    recordEvent(gameState, ReplayEvent.PlayerJoined, { playerId, name: playerName, color, teamId, index, pieces: player.pieces.map(p => ({ ...p })) });
     gameState.message = `${playerName} joined the game!`;
+    return player;
+}
+
+/**
+ * Lets a player contribute their own seed to the dice before the game starts.
+ */
+function setClientSeed(gameState, playerId, seed) {
+    if (gameState.gameStatus !== GameStatus.Setup) return false;
+    if (!gameState.players.some(p => p.playerId === playerId)) return false;
+    if (typeof seed !== 'string' || seed.length === 0 || seed.length > 64) return false;
+    gameState.fairness.clientSeeds[playerId] = seed;
+    return true;
+}
+
+/**
+ * Seats a server-side AI player. Only possible during setup, like any other join.
+ */
+function addBot(gameState, difficulty) {
+    const botNumber = gameState.players.filter(p => p.isBot).length + 1;
+    const label = difficulty.charAt(0).toUpperCase() + difficulty.slice(1);
+    const bot = addPlayer(gameState, `bot-${uuidv4()}`, `${label} Bot ${botNumber}`);
+    if (!bot) return null;
+    bot.isBot = true;
+    bot.botDifficulty = difficulty;
+    return bot;
+}
+
+/**
+ * Takes a player's seat away again while the game is still in setup.
+ */
+function removePlayer(gameState, playerId) {
+    if (gameState.gameStatus !== GameStatus.Setup) return false;
+    const index = gameState.players.findIndex(p => p.playerId === playerId);
+    if (index === -1) return false;
+
+    const [player] = gameState.players.splice(index, 1);
+    delete gameState.fairness.clientSeeds[playerId];
+    recordEvent(gameState, ReplayEvent.PlayerRemoved, { playerId });
+    const nextHost = gameState.players.find(p => !p.isBot);
+    if (player.isHost && nextHost) transferHost(gameState, nextHost.playerId);
+    return true;
+}
+
+/**
+ * Makes another seated human player the host. Returns false if they cannot host.
+ */
+function transferHost(gameState, playerId) {
+    const nextHost = gameState.players.find(p => p.playerId === playerId);
+    if (!nextHost || nextHost.isBot || nextHost.isRemoved) return false;
+    gameState.players.forEach(p => { p.isHost = p === nextHost; });
+    gameState.hostId = nextHost.playerId;
+    gameState.message = `${nextHost.name} is now the host.`;
+    return true;
+}
+
+/**
+ * Removes a player from the room during setup, optionally banning them from coming back.
+ * Returns the removed player, or null.
+ */
+function kickPlayer(gameState, playerId, { ban = false } = {}) {
+    const player = gameState.players.find(p => p.playerId === playerId);
+    if (!player || player.playerId === gameState.hostId || !removePlayer(gameState, playerId)) return null;
+    if (ban && !gameState.bannedIds.includes(playerId)) gameState.bannedIds.push(playerId);
+    gameState.message = `${player.name} was ${ban ? 'banned' : 'removed'} by the host.`;
+    return player;
 }
 
 /**
  * Starts the game, sets player order, and begins the first turn.
  */
+/**
+ * How many seated players a game needs to start: a team game needs both teams complete.
+ */
+function getMinimumPlayers(gameState) {
+    return gameState.isTeamGame ? 4 : 2;
+}
+
 async function startGame(gameState, requestingPlayerId, supabase) {
     if (requestingPlayerId && gameState.hostId !== requestingPlayerId) {
         gameState.message = "Only the host can start the game.";
         return;
     }
-    if (gameState.gameStatus !== GameStatus.Setup || gameState.players.length < 2) {
-        gameState.message = "Need at least 2 players to start.";
+    const minimumPlayers = getMinimumPlayers(gameState);
+    if (gameState.gameStatus !== GameStatus.Setup || gameState.players.length < minimumPlayers) {
+        gameState.message = gameState.isTeamGame ? "Team games need all 4 players to start." : "Need at least 2 players to start.";
         return;
     }
 
     gameState.gameStatus = GameStatus.Playing;
     gameState.playerOrder = gameState.players.map(p => p.color);
+    Dice.lockClientSeed(gameState);
     gameState.currentPlayerIndex = 0;
-    gameState.turnTimeLeft = TURN_TIME_LIMIT;
+    gameState.turnTimeLeft = gameState.timeLimits.roll;
     gameState.message = `Game started! ${gameState.players[0].name}'s turn.`;
+    recordEvent(gameState, ReplayEvent.GameStarted, { playerOrder: gameState.players.map(p => p.playerId) });
     await logTurnActivity(gameState, { description: 'Game started.' }, supabase);
 }
 
+/**
+ * Starts the current player's roll. Returns false when it is not theirs to roll.
+ */
 function initiateRoll(gameState, playerId) {
     const currentPlayer = gameState.players[gameState.currentPlayerIndex];
-    if (currentPlayer.playerId !== playerId || gameState.diceValue !== null || gameState.isRolling) return;
+    if (gameState.gameStatus !== GameStatus.Playing) return false;
+    if (currentPlayer.playerId !== playerId || gameState.diceValue !== null || gameState.isRolling) return false;
     gameState.isRolling = true;
     gameState.message = `${currentPlayer.name} is rolling...`;
+    return true;
 }
 
-async function completeRoll(gameState, playerId, supabase) {
+async function completeRoll(gameState, playerId, supabase, { autoPlayed = false } = {}) {
     const currentPlayer = gameState.players[gameState.currentPlayerIndex];
     if (currentPlayer.playerId !== playerId || !gameState.isRolling) return 'INVALID';
     
-    currentPlayer.inactiveTurns = 0; // Player took an action, reset counter.
+    if (!autoPlayed) currentPlayer.inactiveTurns = 0; // Player took an action, reset counter.
+    const actor = { userId: currentPlayer.playerId, name: currentPlayer.name, autoPlayed };
+
+    const { rules } = gameState;
+    const controlledPlayer = getControlledPlayer(gameState, currentPlayer);
 
     // Rule 2: Forced 6 if no pieces on board and failed multiple times
-    const allPiecesHome = currentPlayer.pieces.every(p => p.state === PieceState.Home);
+    const allPiecesHome = controlledPlayer.pieces.every(p => p.state === PieceState.Home);
     let diceValue;
 
-    // If all pieces are home and they've rolled 4 times without a 6 (this is the 5th try), force a 6.
-    // Assuming logic: "4-5 times" -> Force on 5th attempt if count is 4.
-    if (allPiecesHome && currentPlayer.rollsWithoutSix >= 4) {
-        diceValue = 6;
-    } else {
-        diceValue = Math.floor(Math.random() * 6) + 1;
-    }
+    // Every roll consumes a nonce, even a forced one, so the history can be re-verified in order.
+    const { value: rolled, nonce } = Dice.rollDie(gameState);
+
+    // If all pieces are home and they've rolled `pitySixAfter` times without a 6 (4 by default, so the 5th try), force a 6.
+    const forced = rules.pitySixAfter > 0 && allPiecesHome && currentPlayer.rollsWithoutSix >= rules.pitySixAfter;
+    diceValue = forced ? 6 : rolled;
+    const roll = { value: diceValue, rolled, nonce, forced };
 
     gameState.diceValue = diceValue;
     gameState.isRolling = false;
@@ -281,60 +540,85 @@ async function completeRoll(gameState, playerId, supabase) {
     }
 
     // Rule 1.1: Three 6s in a row penalty
-    if (currentPlayer.consecutiveSixes === 3) {
-        gameState.message = `${currentPlayer.name} rolled three 6s! Turn forfeited.`;
+    if (rules.maxConsecutiveSixes > 0 && currentPlayer.consecutiveSixes === rules.maxConsecutiveSixes) {
+        gameState.message = `${currentPlayer.name} rolled ${rules.maxConsecutiveSixes} 6s in a row! Turn forfeited.`;
         gameState.movablePieces = []; // Lock pieces so they can't click
         currentPlayer.consecutiveSixes = 0; // Reset count
+        recordEvent(gameState, ReplayEvent.DiceRolled, { playerId, ...roll, autoPlayed, penalty: true, movablePieces: [] });
         
         await logTurnActivity(gameState, { 
-            userId: currentPlayer.playerId, 
-            name: currentPlayer.name, 
-            description: `rolled a 3rd six (penalty). Turn lost.` 
+            ...actor,
+            description: `rolled ${rules.maxConsecutiveSixes} sixes in a row (penalty). Turn lost.`,
+            roll
         }, supabase);
         
         return 'PENALTY'; // Signal server to delay then advance turn
     }
 
-    const movablePieces = calculateMovablePieces(currentPlayer, diceValue);
+    const movablePieces = calculateMovablePieces(controlledPlayer, diceValue, rules);
     gameState.movablePieces = movablePieces;
     gameState.message = `${currentPlayer.name} rolled a ${diceValue}.`;
-    await logTurnActivity(gameState, { userId: currentPlayer.playerId, name: currentPlayer.name, description: `rolled a ${diceValue}.` }, supabase);
+    recordEvent(gameState, ReplayEvent.DiceRolled, { playerId, ...roll, autoPlayed, penalty: false, movablePieces: [...movablePieces] });
+    const description = forced ? `was given a forced ${diceValue} (drew a ${rolled}).` : `rolled a ${diceValue}.`;
+    await logTurnActivity(gameState, { ...actor, description, roll }, supabase);
 
     if (movablePieces.length === 0) {
         return 'NO_MOVES'; // Signal server to delay then advance turn
     }
+    gameState.turnTimeLeft = gameState.timeLimits.move;
     return 'MOVES_AVAILABLE';
 }
 
-async function movePiece(gameState, playerId, pieceId, supabase) {
+async function movePiece(gameState, playerId, pieceId, supabase, { autoPlayed = false } = {}) {
     const currentPlayer = gameState.players[gameState.currentPlayerIndex];
+    if (gameState.gameStatus !== GameStatus.Playing) return;
     if (currentPlayer.playerId !== playerId || !gameState.movablePieces.includes(pieceId)) return;
 
-    currentPlayer.inactiveTurns = 0; // Player took an action, reset counter.
+    if (!autoPlayed) currentPlayer.inactiveTurns = 0; // Player took an action, reset counter.
+    const actor = { userId: currentPlayer.playerId, name: currentPlayer.name, autoPlayed };
 
-    const pieceToMove = currentPlayer.pieces.find(p => p.id === pieceId);
+    // In team games a player whose pieces are all home moves their partner's pieces.
+    const owner = getControlledPlayer(gameState, currentPlayer);
+    const pieceToMove = owner.pieces.find(p => p.id === pieceId);
     if (!pieceToMove) return;
 
-    const { position: newPos, state: newState } = getNewPositionInfo(pieceToMove, gameState.diceValue);
+    const { rules } = gameState;
+    const isQuick = gameState.mode === GameMode.Quick;
+    const { position: newPos, state: newState } = getNewPositionInfo(pieceToMove, gameState.diceValue, rules);
+    const progressBefore = getPieceProgress(pieceToMove);
+    const from = { state: pieceToMove.state, position: pieceToMove.position };
     
     pieceToMove.position = newPos;
     pieceToMove.state = newState;
-    await logTurnActivity(gameState, { userId: currentPlayer.playerId, name: currentPlayer.name, description: `moved piece to position ${newPos}.` }, supabase);
+    if (isQuick) currentPlayer.score += (getPieceProgress(pieceToMove) - progressBefore) * QUICK_SCORING.step;
+    recordEvent(gameState, ReplayEvent.PieceMoved, {
+        playerId, ownerId: owner.playerId, pieceId, from, to: { state: newState, position: newPos },
+        diceValue: gameState.diceValue, score: currentPlayer.score, autoPlayed,
+    });
+    await logTurnActivity(gameState, { ...actor, description: `moved piece to position ${newPos}.` }, supabase);
 
     let capturedPiece = false;
     let pieceFinished = false; // Track Rule 3
     gameState.message = `${currentPlayer.name} moved a piece.`;
 
     // Check capture
-    if (newState === PieceState.Active && newPos < FINISH_POSITION_START && !SAFE_SPOTS.includes(newPos)) {
+    if (newState === PieceState.Active && newPos < FINISH_POSITION_START && !rules.safeSpots.includes(newPos)) {
         for (const opponent of gameState.players) {
-            if (opponent.color === currentPlayer.color) continue;
+            if (opponent.color === owner.color || isTeammate(gameState, opponent, owner)) continue;
             for (const oppPiece of opponent.pieces) {
                 if (oppPiece.position === newPos) {
+                    if (isQuick) {
+                        opponent.score -= getPieceProgress(oppPiece) * QUICK_SCORING.step;
+                        currentPlayer.score += QUICK_SCORING.capture;
+                    }
                     oppPiece.state = PieceState.Home;
                     oppPiece.position = -1;
+                    recordEvent(gameState, ReplayEvent.PieceCaptured, {
+                        playerId, victimId: opponent.playerId, pieceId: oppPiece.id, position: newPos,
+                        score: currentPlayer.score, victimScore: opponent.score,
+                    });
                     gameState.message = `${currentPlayer.name} captured ${opponent.name}'s piece!`;
-                    await logTurnActivity(gameState, { userId: currentPlayer.playerId, name: currentPlayer.name, description: `captured ${opponent.name}'s piece.` }, supabase);
+                    await logTurnActivity(gameState, { ...actor, description: `captured ${opponent.name}'s piece.` }, supabase);
                     capturedPiece = true;
                 }
             }
@@ -344,17 +628,38 @@ async function movePiece(gameState, playerId, pieceId, supabase) {
     // Rule 3: Check if piece finished
     if (newState === PieceState.Finished) {
         pieceFinished = true;
-        gameState.message = `${currentPlayer.name}'s piece reached Home! Extra Turn.`;
-        await logTurnActivity(gameState, { userId: currentPlayer.playerId, name: currentPlayer.name, description: `piece reached home.` }, supabase);
+        if (isQuick) currentPlayer.score += QUICK_SCORING.finish;
+        recordEvent(gameState, ReplayEvent.PieceFinished, { playerId, ownerId: owner.playerId, pieceId, score: currentPlayer.score });
+        gameState.message = `${currentPlayer.name}'s piece reached Home!${rules.extraTurnOnFinish ? ' Extra Turn.' : ''}`;
+        await logTurnActivity(gameState, { ...actor, description: `piece reached home.` }, supabase);
     }
 
     // Check Win Condition
-    if (currentPlayer.pieces.every(p => p.state === PieceState.Finished)) {
+    if (gameState.isTeamGame && owner.pieces.every(p => p.state === PieceState.Finished)) {
+        owner.hasFinished = true;
+        const partner = getPartner(gameState, owner);
+        if (!partner || partner.hasFinished) {
+            await finishTeamGame(gameState, owner.teamId, supabase);
+            return;
+        }
+        gameState.message = `${owner.name} brought every piece home! ${owner.name} now rolls for ${partner.name}.`;
+        await logTurnActivity(gameState, { userId: owner.playerId, name: owner.name, description: `finished all pieces, now playing for ${partner.name}.` }, supabase);
+    } else if (!gameState.isTeamGame && currentPlayer.pieces.every(p => p.state === PieceState.Finished)) {
         currentPlayer.hasFinished = true;
-        gameState.winner = currentPlayer;
-        gameState.gameStatus = GameStatus.Finished;
-        gameState.message = `${currentPlayer.name} wins the game!`;
-        await logTurnActivity(gameState, { description: `Game finished. Winner: ${currentPlayer.name}` }, supabase);
+        if (isQuick) {
+            await finishQuickGame(gameState, `${currentPlayer.name} brought every piece home!`, supabase);
+            return;
+        }
+        // The race goes on for the remaining places until only one player is left on the board.
+        addRanking(gameState, currentPlayer, 'finished');
+        const place = gameState.rankings.length;
+        await logTurnActivity(gameState, { ...actor, description: `finished in place ${place}.` }, supabase);
+        if (gameState.players.filter(p => isActivePlayer(gameState, p)).length <= 1) {
+            await completeRankings(gameState, supabase);
+            return;
+        }
+        gameState.message = `${currentPlayer.name} finished in place ${place}!`;
+        await advanceTurn(gameState, supabase);
         return;
     }
 
@@ -362,51 +667,142 @@ async function movePiece(gameState, playerId, pieceId, supabase) {
     // 1. Rule 1: Rolled a 6
     // 2. Capture: Captured opponent piece
     // 3. Rule 3: Piece reached Home
-    if (gameState.diceValue === 6 || capturedPiece || pieceFinished) {
+    const rolledSix = gameState.diceValue === 6;
+    if ((rolledSix && rules.extraTurnOnSix) || (capturedPiece && rules.extraTurnOnCapture) || (pieceFinished && rules.extraTurnOnFinish)) {
         gameState.diceValue = null;
         gameState.movablePieces = [];
         gameState.isRolling = false;
         // If it wasn't a 6 that caused the extra turn (e.g. finished with a 3), we reset consecutive sixes
-        if (gameState.diceValue !== 6) {
+        if (!rolledSix) {
              currentPlayer.consecutiveSixes = 0;
         }
         gameState.message += " Roll again!";
-        gameState.turnTimeLeft = TURN_TIME_LIMIT;
+        gameState.turnTimeLeft = gameState.timeLimits.roll;
     } else {
         await advanceTurn(gameState, supabase);
     }
 }
 
+/**
+ * Calls the game off without a result. Entry fees are refunded when the game is settled.
+ */
+function cancelGame(gameState, reason) {
+    gameState.gameStatus = GameStatus.Finished;
+    gameState.isCancelled = true;
+    gameState.winner = null;
+    gameState.diceValue = null;
+    gameState.isRolling = false;
+    gameState.movablePieces = [];
+    gameState.message = reason;
+    recordGameFinished(gameState);
+}
+
+async function finishTeamGame(gameState, teamId, supabase) {
+    const winner = createTeamWinner(gameState, teamId);
+    gameState.players.filter(p => p.teamId === teamId).forEach(p => addRanking(gameState, p, 'finished', 1));
+    gameState.players.filter(p => p.teamId !== teamId).forEach(p => addRanking(gameState, p, p.isRemoved ? 'left' : 'last-active', 2));
+    gameState.winner = winner;
+    gameState.gameStatus = GameStatus.Finished;
+    gameState.diceValue = null;
+    gameState.movablePieces = [];
+    gameState.message = `${winner.name} win the game!`;
+    recordGameFinished(gameState);
+    await logTurnActivity(gameState, { description: `Game finished. Winning team: ${winner.name}` }, supabase);
+}
+
+/**
+ * Orders players for a quick game: highest score first, then most pieces finished, then most steps
+ * travelled, then seat order. Players who left are always ranked last.
+ */
+function rankByScore(players) {
+    const finishedPieces = p => p.pieces.filter(piece => piece.state === PieceState.Finished).length;
+    const totalProgress = p => p.pieces.reduce((sum, piece) => sum + getPieceProgress(piece), 0);
+    return players
+        .map((player, seat) => ({ player, seat }))
+        .sort((a, b) =>
+            (a.player.isRemoved - b.player.isRemoved)
+            || (b.player.score - a.player.score)
+            || (finishedPieces(b.player) - finishedPieces(a.player))
+            || (totalProgress(b.player) - totalProgress(a.player))
+            || (a.seat - b.seat))
+        .map(({ player }) => player);
+}
+
+async function finishQuickGame(gameState, reason, supabase) {
+    const ranked = rankByScore(gameState.players);
+    const winner = ranked[0];
+    gameState.standings = ranked.map((p, index) => ({ rank: index + 1, playerId: p.playerId, name: p.name, score: p.score }));
+    ranked.forEach(p => addRanking(gameState, p, p.isRemoved ? 'left' : 'score'));
+    gameState.winner = winner;
+    gameState.gameStatus = GameStatus.Finished;
+    gameState.diceValue = null;
+    gameState.isRolling = false;
+    gameState.movablePieces = [];
+    gameState.message = `${reason} ${winner.name} wins with ${winner.score} points!`;
+    recordGameFinished(gameState);
+    await logTurnActivity(gameState, { description: `Game finished. Winner: ${winner.name} (${winner.score} points)` }, supabase);
+}
+
+/**
+ * Counts the quick-mode game clock down by one second. Returns true when time ran out and the game ended.
+ */
+async function tickGameClock(gameState, supabase) {
+    if (!gameState.clock || gameState.gameStatus !== GameStatus.Playing) return false;
+    gameState.clock.timeLeft = Math.max(0, gameState.clock.timeLeft - 1);
+    if (gameState.clock.timeLeft > 0) return false;
+    await finishQuickGame(gameState, "Time's up!", supabase);
+    return true;
+}
+
 async function handleMissedTurn(gameState, supabase) {
     const currentPlayer = gameState.players[gameState.currentPlayerIndex];
     if (!currentPlayer || gameState.gameStatus !== GameStatus.Playing) return;
 
-    currentPlayer.inactiveTurns += 1;
     gameState.message = `${currentPlayer.name} missed their turn.`;
     await logTurnActivity(gameState, { userId: currentPlayer.playerId, name: currentPlayer.name, description: `missed their turn.` }, supabase);
 
-    if (currentPlayer.inactiveTurns >= MAX_INACTIVE_TURNS) {
-        await leaveGame(gameState, currentPlayer.playerId, supabase);
-    } else {
+    if (!(await recordInactivity(gameState, supabase))) {
         await advanceTurn(gameState, supabase);
     }
 }
 
+/**
+ * Counts a timed-out turn against the current player. Returns true if that removed them from the game.
+ */
+async function recordInactivity(gameState, supabase) {
+    const currentPlayer = gameState.players[gameState.currentPlayerIndex];
+    currentPlayer.inactiveTurns += 1;
+    if (currentPlayer.inactiveTurns < MAX_INACTIVE_TURNS) return false;
+    await leaveGame(gameState, currentPlayer.playerId, supabase);
+    return true;
+}
+
 async function leaveGame(gameState, playerId, supabase) {
     const player = gameState.players.find(p => p.playerId === playerId);
     if (player && !player.isRemoved) {
         player.isRemoved = true;
+        player.removedAt = Date.now();
         gameState.message = `${player.name} left the game.`;
+        recordEvent(gameState, ReplayEvent.PlayerLeft, { playerId });
         await logTurnActivity(gameState, { userId: player.playerId, name: player.name, description: `left the game.` }, supabase);
         
         // Check if there is only one active player left to declare a winner.
-        const activePlayers = gameState.players.filter(p => !p.isRemoved && !p.hasFinished);
-        if (activePlayers.length === 1) {
-            const winner = activePlayers[0];
-            gameState.winner = winner;
-            gameState.gameStatus = GameStatus.Finished;
-            gameState.message = `${winner.name} wins as the opponent left the game!`;
-            await logTurnActivity(gameState, { userId: winner.playerId, name: winner.name, description: `won because opponent left.` }, supabase);
+        const activePlayers = gameState.players.filter(p => isActivePlayer(gameState, p));
+        if (gameState.isTeamGame) {
+            const activeTeams = new Set(activePlayers.map(p => p.teamId));
+            if (activeTeams.size === 1 && gameState.gameStatus === GameStatus.Playing) {
+                await finishTeamGame(gameState, activePlayers[0].teamId, supabase);
+                gameState.message = `${gameState.winner.name} win as the other team left the game!`;
+                return;
+            }
+        } else if (activePlayers.length === 1 && gameState.gameStatus !== GameStatus.Finished) {
+            const [lastPlayer] = activePlayers;
+            if (gameState.mode === GameMode.Quick) {
+                await finishQuickGame(gameState, `${player.name} left the game.`, supabase);
+            } else {
+                await completeRankings(gameState, supabase);
+                if (gameState.winner === lastPlayer) gameState.message = `${lastPlayer.name} wins as the opponent left the game!`;
+            }
             return; // Game is over, no need to advance turn.
         }
         
@@ -416,6 +812,45 @@ async function leaveGame(gameState, playerId, supabase) {
     }
 }
 
+/**
+ * Tracks whether a seated player currently has a live socket. Returns the player if their status changed.
+ */
+function setPlayerConnection(gameState, playerId, isConnected) {
+    const player = gameState.players.find(p => p.playerId === playerId);
+    if (!player || player.isConnected === isConnected) return null;
+    player.isConnected = isConnected;
+    player.disconnectedAt = isConnected ? null : Date.now();
+    if (isConnected) player.isBotControlled = false;
+    return player;
+}
+
+/**
+ * True while a disconnected player is still inside the window in which their turn is held for them.
+ */
+function isWithinReconnectGrace(player, now = Date.now()) {
+    return !player.isConnected && now - player.disconnectedAt < RECONNECT_GRACE_PERIOD * 1000;
+}
+
+/**
+ * Returns the state as clients may see it: without secrets or the replay log (served by the replay endpoint),
+ * and with the dice seed once the game is over.
+ */
+function getPublicState(gameState) {
+    const { secrets, eventLog, ...publicState } = gameState;
+    if (gameState.gameStatus === GameStatus.Finished && secrets) {
+        publicState.fairness = { ...gameState.fairness, serverSeed: secrets.serverSeed };
+    }
+    return publicState;
+}
+
+/**
+ * Returns the state as spectators may see it: the public state without the players' chat.
+ */
+function getSpectatorState(gameState) {
+    const { chatMessages, ...spectatorState } = getPublicState(gameState);
+    return spectatorState;
+}
+
 async function sendChatMessage(gameState, playerId, text, supabase) {
     const player = gameState.players.find(p => p.playerId === playerId);
     if (!player) return;
@@ -437,6 +872,7 @@ async function sendChatMessage(gameState, playerId, text, supabase) {
     if (gameState.tournamentId && supabase) {
         try {
             const { error } = await supabase.from('chat_messages').insert({
+                id: message.id,
                 tournament_id: gameState.tournamentId,
                 user_id: playerId,
                 username: player.name,
@@ -452,8 +888,11 @@ async function sendChatMessage(gameState, playerId, text, supabase) {
 }
 
 module.exports = {
-    createNewGame, addPlayer, startGame,
+    GameStatus, GameMode, PieceState, RECONNECT_GRACE_PERIOD, FINISH_POSITION_START,
+    createNewGame, addPlayer, addBot, removePlayer, transferHost, kickPlayer, getMinimumPlayers, startGame, cancelGame,
     initiateRoll, completeRoll, movePiece,
-    leaveGame, sendChatMessage, handleMissedTurn,
-    advanceTurn
+    leaveGame, sendChatMessage, handleMissedTurn, recordInactivity,
+    advanceTurn, setPlayerConnection, isWithinReconnectGrace,
+    setClientSeed, getPublicState, getSpectatorState, tickGameClock,
+    getNewPositionInfo, getPieceProgress, getControlledPlayer
 };
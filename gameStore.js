@@ -0,0 +1,245 @@
+// dream-ludo-server/gameStore.js
+
+"use strict";
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Storage for live game snapshots. Every implementation offers the same async interface:
+ *   save(gameCode, state), load(gameCode), loadUnfinished(), remove(gameCode)
+ * and `forget(gameCode)`, called once the server has unloaded a game, to drop anything kept in memory for it.
+ * Finished games are kept so their results can still be looked up after the room is closed.
+ */
+
+function isUnfinished(state) {
+    return state && state.gameStatus !== 'Finished';
+}
+
+class MemoryGameStore {
+    constructor() {
+        this.snapshots = new Map();
+    }
+
+    async save(gameCode, state) {
+        this.snapshots.set(gameCode, JSON.stringify(state));
+    }
+
+    async load(gameCode) {
+        const snapshot = this.snapshots.get(gameCode);
+        return snapshot ? JSON.parse(snapshot) : null;
+    }
+
+    async loadUnfinished() {
+        return [...this.snapshots.values()].map(s => JSON.parse(s)).filter(isUnfinished);
+    }
+
+    async remove(gameCode) {
+        this.snapshots.delete(gameCode);
+    }
+
+    forget() {}
+}
+
+class FileGameStore {
+    constructor(directory) {
+        this.directory = directory;
+        this.ready = fs.mkdir(directory, { recursive: true });
+    }
+
+    fileFor(gameCode) {
+        return path.join(this.directory, `${encodeURIComponent(gameCode)}.json`);
+    }
+
+    async save(gameCode, state) {
+        await this.ready;
+        // Write to a temporary file first so a crash mid-write never leaves a truncated snapshot.
+        const file = this.fileFor(gameCode);
+        const tmpFile = `${file}.tmp`;
+        await fs.writeFile(tmpFile, JSON.stringify(state));
+        await fs.rename(tmpFile, file);
+    }
+
+    async load(gameCode) {
+        await this.ready;
+        try {
+            return JSON.parse(await fs.readFile(this.fileFor(gameCode), 'utf8'));
+        } catch (e) {
+            if (e.code === 'ENOENT') return null;
+            throw e;
+        }
+    }
+
+    async loadUnfinished() {
+        await this.ready;
+        const files = (await fs.readdir(this.directory)).filter(f => f.endsWith('.json'));
+        const states = [];
+        for (const file of files) {
+            try {
+                states.push(JSON.parse(await fs.readFile(path.join(this.directory, file), 'utf8')));
+            } catch (e) {
+                console.error(`Skipping unreadable game snapshot ${file}:`, e.message);
+            }
+        }
+        return states.filter(isUnfinished);
+    }
+
+    async remove(gameCode) {
+        await this.ready;
+        await fs.rm(this.fileFor(gameCode), { force: true });
+    }
+
+    forget() {}
+}
+
+// Logs that only ever grow. The Supabase store appends their new entries instead of rewriting them.
+const LOGS = ['eventLog', 'turn_history'];
+const LOG_PAGE_SIZE = 1000;
+
+/**
+ * Keeps snapshots in Supabase, split over three tables (supabase/migrations/20261019210000_live_games.sql),
+ * all of them readable by the service role only:
+ * - `live_games` holds the state without its secrets and logs, so a save stays the same size all game long.
+ * - `live_game_secrets` holds `state.secrets` (the dice server seed, the room password hash and invites), and
+ *   is only written when they change.
+ * - `live_game_log` holds one row per log entry, keyed by the game's `matchId`, and only new entries are sent.
+ */
+class SupabaseGameStore {
+    constructor(supabase, table = 'live_games') {
+        this.supabase = supabase;
+        this.table = table;
+        this.saved = new Map(); // gameCode -> { logKey, logLengths, secrets } as last written
+    }
+
+    async save(gameCode, state) {
+        const { secrets = {}, ...publicState } = state;
+        const logKey = getLogKey(gameCode, state);
+        let saved = this.saved.get(gameCode);
+        // Room codes are reused: a new game under the same code starts its logs from scratch.
+        if (!saved || saved.logKey !== logKey) saved = { logKey, logLengths: {}, secrets: null };
+
+        // Secrets and log entries are written first, so a saved state never points at anything missing.
+        const secretsJson = JSON.stringify(secrets);
+        if (secretsJson !== saved.secrets) {
+            const { error } = await this.supabase.from('live_game_secrets').upsert({
+                game_code: gameCode, secrets, updated_at: new Date().toISOString(),
+            }, { onConflict: 'game_code' });
+            if (error) throw new Error(`Failed to save the secrets of game ${gameCode}: ${error.message}`);
+        }
+
+        const logLengths = {};
+        for (const log of LOGS) {
+            const entries = state[log] || [];
+            const from = Math.min(saved.logLengths[log] || 0, entries.length);
+            const rows = entries.slice(from).map((entry, i) => ({ match_id: logKey, kind: log, seq: from + i, entry }));
+            if (rows.length > 0) {
+                const { error } = await this.supabase.from('live_game_log')
+                    .upsert(rows, { onConflict: 'match_id,kind,seq', ignoreDuplicates: true });
+                if (error) throw new Error(`Failed to save the log of game ${gameCode}: ${error.message}`);
+            }
+            logLengths[log] = entries.length;
+            publicState[log] = [];
+        }
+
+        const { error } = await this.supabase.from(this.table).upsert({
+            game_code: gameCode,
+            status: state.gameStatus,
+            state: publicState,
+            log_lengths: logLengths,
+            updated_at: new Date().toISOString(),
+        }, { onConflict: 'game_code' });
+        if (error) throw new Error(`Failed to save game ${gameCode}: ${error.message}`);
+        this.saved.set(gameCode, { logKey, logLengths, secrets: secretsJson });
+    }
+
+    async load(gameCode) {
+        const { data, error } = await this.supabase.from(this.table).select('game_code, state, log_lengths').eq('game_code', gameCode).maybeSingle();
+        if (error) throw new Error(`Failed to load game ${gameCode}: ${error.message}`);
+        return data ? (await this.hydrate(data)).state : null;
+    }
+
+    async loadUnfinished() {
+        const { data, error } = await this.supabase.from(this.table).select('game_code, state, log_lengths').neq('status', 'Finished');
+        if (error) throw new Error(`Failed to load unfinished games: ${error.message}`);
+        const states = [];
+        for (const row of data || []) {
+            if (!isUnfinished(row.state)) continue;
+            // Restored games are saved again, and only need to send what changes from here on.
+            const { state, saved } = await this.hydrate(row);
+            this.saved.set(row.game_code, saved);
+            states.push(state);
+        }
+        return states;
+    }
+
+    async remove(gameCode) {
+        const { error } = await this.supabase.from(this.table).delete().eq('game_code', gameCode);
+        if (error) throw new Error(`Failed to remove game ${gameCode}: ${error.message}`);
+        const { error: secretsError } = await this.supabase.from('live_game_secrets').delete().eq('game_code', gameCode);
+        if (secretsError) throw new Error(`Failed to remove the secrets of game ${gameCode}: ${secretsError.message}`);
+        this.saved.delete(gameCode);
+    }
+
+    forget(gameCode) {
+        this.saved.delete(gameCode);
+    }
+
+    /**
+     * Puts a saved state back together with its secrets and logs. Also returns what of it is already stored.
+     */
+    async hydrate({ game_code: gameCode, state, log_lengths: logLengths }) {
+        const { data, error } = await this.supabase.from('live_game_secrets').select('secrets').eq('game_code', gameCode).maybeSingle();
+        if (error) throw new Error(`Failed to load the secrets of game ${gameCode}: ${error.message}`);
+        const secrets = data?.secrets || state.secrets || {}; // Older rows kept them inside the state.
+
+        const logKey = getLogKey(gameCode, state);
+        // Rows saved before the logs had their own table still carry them, and get them written out on the next save.
+        const lengths = {};
+        if (logLengths) {
+            for (const log of LOGS) {
+                // Entries past the saved length belong to a save that did not finish.
+                state[log] = logLengths[log] > 0 ? await this.loadLog(logKey, log, logLengths[log]) : [];
+                lengths[log] = state[log].length;
+            }
+        }
+        const saved = { logKey, logLengths: lengths, secrets: data ? JSON.stringify(secrets) : null };
+        return { state: { ...state, secrets }, saved };
+    }
+
+    async loadLog(logKey, log, length) {
+        const entries = [];
+        while (entries.length < length) {
+            const to = Math.min(entries.length + LOG_PAGE_SIZE, length) - 1;
+            const { data, error } = await this.supabase.from('live_game_log').select('entry')
+                .eq('match_id', logKey).eq('kind', log).order('seq', { ascending: true }).range(entries.length, to);
+            if (error) throw new Error(`Failed to load the ${log} of game ${logKey}: ${error.message}`);
+            if (!data || data.length === 0) break;
+            entries.push(...data.map(row => row.entry));
+        }
+        return entries;
+    }
+}
+
+/**
+ * Logs are keyed by the game's own id, as room codes are reused. Snapshots from before games had one use the code.
+ */
+function getLogKey(gameCode, state) {
+    return state.matchId || gameCode;
+}
+
+/**
+ * Builds the store selected by `kind` ('supabase', 'file' or 'memory').
+ */
+function createGameStore(kind, { supabase, directory } = {}) {
+    switch (kind) {
+        case 'memory': return new MemoryGameStore();
+        case 'file': return new FileGameStore(directory || path.join(os.tmpdir(), 'dream-ludo-games'));
+        case 'supabase':
+            if (!supabase) throw new Error('The supabase game store needs a Supabase client.');
+            return new SupabaseGameStore(supabase);
+        default: throw new Error(`Unknown game store: ${kind}`);
+    }
+}
+
+module.exports = { MemoryGameStore, FileGameStore, SupabaseGameStore, createGameStore };
@@ -0,0 +1,94 @@
+// dream-ludo-server/lobby.js
+
+"use strict";
+
+const { getMinimumPlayers } = require('./game');
+
+/**
+ * Ready-check for tournament rooms, kept in `gameState.lobby`.
+ *
+ * Tournament games do not wait for a host to press start. A countdown begins once every seat is taken and
+ * either every player is ready or the tournament's scheduled start has arrived; a player leaving, or
+ * un-readying before the start time, stops it again. If the room is still not full when the no-show
+ * deadline passes, the tournament's `no_show_action` decides: start with whoever is seated or cancel.
+ */
+
+const COUNTDOWN_SECONDS = 10;
+const DEFAULT_NO_SHOW_TIMEOUT = 300;    // Seconds after the scheduled start (or the room opening) to wait for no-shows.
+const MAX_NO_SHOW_TIMEOUT = 3600;
+
+const LobbyPhase = { Waiting: 'WAITING', Countdown: 'COUNTDOWN' };
+const NoShowAction = { Start: 'start', Cancel: 'cancel' };
+const LobbyOutcome = { Start: 'START', Cancel: 'CANCEL' };
+
+/**
+ * Builds the lobby of a tournament room from the tournament row.
+ */
+function createLobby(tournament, now = Date.now()) {
+    const scheduled = tournament.start_time ? Date.parse(tournament.start_time) : NaN;
+    const scheduledStartAt = Number.isFinite(scheduled) ? scheduled : null;
+    const timeout = Math.min(MAX_NO_SHOW_TIMEOUT, Math.max(0, Number(tournament.no_show_timeout ?? DEFAULT_NO_SHOW_TIMEOUT) || 0));
+    return {
+        phase: LobbyPhase.Waiting,
+        readyIds: [],
+        countdownEndsAt: null,
+        scheduledStartAt,
+        noShowDeadline: Math.max(scheduledStartAt || 0, now) + timeout * 1000,
+        noShowAction: tournament.no_show_action === NoShowAction.Start ? NoShowAction.Start : NoShowAction.Cancel,
+    };
+}
+
+/**
+ * Marks a seated player as ready or not. Returns false if nothing changed.
+ */
+function setPlayerReady(gameState, playerId, ready) {
+    const { lobby } = gameState;
+    if (!lobby || gameState.gameStatus !== 'Setup') return false;
+    const player = gameState.players.find(p => p.playerId === playerId);
+    if (!player || lobby.readyIds.includes(playerId) === Boolean(ready)) return false;
+    lobby.readyIds = ready ? [...lobby.readyIds, playerId] : lobby.readyIds.filter(id => id !== playerId);
+    gameState.message = `${player.name} is ${ready ? 'ready' : 'not ready'}.`;
+    return true;
+}
+
+/**
+ * Moves the lobby on to `now`. Returns what should happen to the room (`LobbyOutcome.Start`, `LobbyOutcome.Cancel`
+ * or null) and the time at which the lobby next needs checking.
+ */
+function advanceLobby(gameState, now = Date.now()) {
+    const { lobby } = gameState;
+    if (!lobby || gameState.gameStatus !== 'Setup') return { outcome: null, nextCheckAt: null };
+
+    const seated = gameState.players;
+    lobby.readyIds = lobby.readyIds.filter(id => seated.some(p => p.playerId === id));
+    // A tournament with fewer registrations than seats is full once every registered player is seated.
+    const seatCount = gameState.reservedFor ? Math.min(gameState.reservedFor.length, gameState.max_players) : gameState.max_players;
+    const minimumPlayers = getMinimumPlayers(gameState);
+    const isFull = seated.length >= minimumPlayers && seated.length >= seatCount;
+    const allReady = seated.every(p => p.isBot || lobby.readyIds.includes(p.playerId));
+    // A full room starts at its scheduled time (or the no-show deadline) even if someone never pressed ready.
+    const startTimeReached = (lobby.scheduledStartAt !== null && now >= lobby.scheduledStartAt) || now >= lobby.noShowDeadline;
+    const shouldCount = isFull && (allReady || startTimeReached);
+
+    if (lobby.phase === LobbyPhase.Countdown && !shouldCount) {
+        lobby.phase = LobbyPhase.Waiting;
+        lobby.countdownEndsAt = null;
+        gameState.message = 'Countdown stopped, waiting for players.';
+    } else if (lobby.phase === LobbyPhase.Waiting && shouldCount) {
+        lobby.phase = LobbyPhase.Countdown;
+        lobby.countdownEndsAt = now + COUNTDOWN_SECONDS * 1000;
+        gameState.message = `Game starts in ${COUNTDOWN_SECONDS} seconds.`;
+    }
+
+    if (lobby.phase === LobbyPhase.Countdown) {
+        if (now >= lobby.countdownEndsAt) return { outcome: LobbyOutcome.Start, nextCheckAt: null };
+        return { outcome: null, nextCheckAt: lobby.countdownEndsAt };
+    }
+    if (now >= lobby.noShowDeadline) {
+        const canStart = lobby.noShowAction === NoShowAction.Start && seated.length >= minimumPlayers;
+        return { outcome: canStart ? LobbyOutcome.Start : LobbyOutcome.Cancel, nextCheckAt: null };
+    }
+    return { outcome: null, nextCheckAt: isFull && lobby.scheduledStartAt > now ? lobby.scheduledStartAt : lobby.noShowDeadline };
+}
+
+module.exports = { LobbyPhase, LobbyOutcome, createLobby, setPlayerReady, advanceLobby };
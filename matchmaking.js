@@ -0,0 +1,132 @@
+// dream-ludo-server/matchmaking.js
+
+"use strict";
+
+/**
+ * Quick-play matchmaking.
+ *
+ * Players queue for a player count, an entry fee and a rule variant; only tickets with the same three values
+ * can be grouped. Within a queue players are matched by rating: a ticket accepts opponents within
+ * `INITIAL_RATING_RANGE` of its own rating and that range grows by `RATING_RANGE_STEP` every
+ * `RATING_RANGE_INTERVAL` ms of waiting, until after `MAX_RATING_WAIT` ms anyone will do.
+ */
+
+const { DEFAULT_RATING } = require('./ratings');
+
+const INITIAL_RATING_RANGE = 100;
+const RATING_RANGE_STEP = 50;
+const RATING_RANGE_INTERVAL = 5000;
+const MAX_RATING_WAIT = 60000;
+
+// Game options for each variant a player can queue for.
+const MATCH_VARIANTS = {
+    classic: { mode: 'classic' },
+    quick: { mode: 'quick' },
+    teams: { mode: 'classic', teams: true, playerCounts: [4] },
+};
+const PLAYER_COUNTS = [2, 3, 4];
+
+function getQueueKey({ playerCount, entryFee, variant }) {
+    return `${playerCount}:${entryFee}:${variant}`;
+}
+
+/**
+ * Checks a queue request. Returns the normalised `{ playerCount, entryFee, variant }` or throws with a message
+ * that can be shown to the player.
+ */
+function parseQueueRequest({ playerCount = 2, entryFee = 0, variant = 'classic' } = {}) {
+    const options = MATCH_VARIANTS[variant];
+    if (!options) throw new Error(`Unknown variant: ${variant}`);
+    playerCount = Number(playerCount);
+    if (!(options.playerCounts || PLAYER_COUNTS).includes(playerCount)) {
+        throw new Error(`The ${variant} variant cannot be played with ${playerCount} players.`);
+    }
+    const fee = Math.round(Number(entryFee) * 100) / 100;
+    if (!Number.isFinite(fee) || fee < 0) throw new Error('Invalid entry fee.');
+    return { playerCount, entryFee: fee, variant };
+}
+
+/**
+ * How far from its own rating a ticket accepts opponents after waiting since `joinedAt`.
+ */
+function getRatingRange(ticket, now) {
+    const waited = now - ticket.joinedAt;
+    if (waited >= MAX_RATING_WAIT) return Infinity;
+    return INITIAL_RATING_RANGE + Math.floor(waited / RATING_RANGE_INTERVAL) * RATING_RANGE_STEP;
+}
+
+function accepts(a, b, now) {
+    const gap = Math.abs(a.rating - b.rating);
+    return gap <= getRatingRange(a, now) && gap <= getRatingRange(b, now);
+}
+
+class MatchmakingQueue {
+    constructor() {
+        this.queues = new Map();   // queue key -> tickets, oldest first
+        this.tickets = new Map();  // userId -> ticket
+    }
+
+    /**
+     * Queues a player, replacing any ticket they already had. Returns the ticket and the one it replaced.
+     */
+    join({ userId, name, rating = DEFAULT_RATING, playerCount, entryFee, variant, socket }, now = Date.now()) {
+        const replaced = this.cancel(userId);
+        const ticket = { userId, name, rating, playerCount, entryFee, variant, socket, joinedAt: now, key: getQueueKey({ playerCount, entryFee, variant }) };
+        if (!this.queues.has(ticket.key)) this.queues.set(ticket.key, []);
+        this.queues.get(ticket.key).push(ticket);
+        this.tickets.set(userId, ticket);
+        return { ticket, replaced };
+    }
+
+    /**
+     * Takes a player out of the queue. Returns their ticket, or null if they were not queued.
+     */
+    cancel(userId) {
+        const ticket = this.tickets.get(userId);
+        if (!ticket) return null;
+        this.tickets.delete(userId);
+        const queue = this.queues.get(ticket.key).filter(t => t !== ticket);
+        if (queue.length > 0) this.queues.set(ticket.key, queue);
+        else this.queues.delete(ticket.key);
+        return ticket;
+    }
+
+    get(userId) {
+        return this.tickets.get(userId) || null;
+    }
+
+    get size() {
+        return this.tickets.size;
+    }
+
+    /**
+     * Forms every match it can and removes the matched tickets from the queue. The longest waiting ticket
+     * is matched first, with the closest rated tickets that both sides accept.
+     */
+    findMatches(now = Date.now()) {
+        const matches = [];
+        for (const queue of [...this.queues.values()]) {
+            let waiting = [...queue];
+            for (const anchor of queue) {
+                if (!waiting.includes(anchor)) continue;
+                const opponents = waiting
+                    .filter(t => t !== anchor && accepts(anchor, t, now))
+                    .sort((a, b) => Math.abs(a.rating - anchor.rating) - Math.abs(b.rating - anchor.rating) || a.joinedAt - b.joinedAt);
+                const group = [anchor];
+                for (const candidate of opponents) {
+                    if (group.length === anchor.playerCount) break;
+                    if (group.every(member => accepts(member, candidate, now))) group.push(candidate);
+                }
+                if (group.length < anchor.playerCount) continue;
+
+                waiting = waiting.filter(t => !group.includes(t));
+                group.forEach(t => this.cancel(t.userId));
+                const { mode, teams = false } = MATCH_VARIANTS[anchor.variant];
+                matches.push({ playerCount: anchor.playerCount, entryFee: anchor.entryFee, variant: anchor.variant, mode, teams, tickets: group });
+            }
+        }
+        return matches;
+    }
+}
+
+module.exports = { MATCH_VARIANTS, MatchmakingQueue, getRatingRange, parseQueueRequest };
@@ -0,0 +1,222 @@
+// dream-ludo-server/moderation.js
+
+"use strict";
+
+/**
+ * Chat moderation shared by the game chat (players and spectators), the global group chat and support chat.
+ *
+ * Every message goes through `ChatModerator.moderate`: blocked words and patterns from the `chat_moderation`
+ * row of `app_settings` are masked, and messages with links or phone numbers are refused, which is how most
+ * payment scams reach players. Muted and banned users (`chat_sanctions`) cannot post in the public chats;
+ * banned users cannot open the global chat at all. Support chat only gets the word filter and link check, so
+ * sanctioned users can still reach an admin and players can give support the number they paid from.
+ */
+
+const MAX_MESSAGE_LENGTH = 500;
+const DEFAULT_MUTE_MINUTES = 60;
+
+const ChatChannel = { Game: 'game', Spectator: 'spectator', Group: 'group', Support: 'support' };
+const SanctionType = { Mute: 'MUTE', Ban: 'BAN' };
+const ModerationReason = {
+    Empty: 'EMPTY',
+    TooLong: 'TOO_LONG',
+    LinkBlocked: 'LINK_BLOCKED',
+    PhoneBlocked: 'PHONE_BLOCKED',
+    Muted: 'MUTED',
+    Banned: 'BANNED',
+};
+
+const REASON_MESSAGES = {
+    [ModerationReason.Empty]: 'Message is empty.',
+    [ModerationReason.TooLong]: `Messages can be at most ${MAX_MESSAGE_LENGTH} characters.`,
+    [ModerationReason.LinkBlocked]: 'Links are not allowed in chat.',
+    [ModerationReason.PhoneBlocked]: 'Phone numbers are not allowed in chat.',
+    [ModerationReason.Muted]: 'You are muted.',
+    [ModerationReason.Banned]: 'You are banned from chat.',
+};
+
+const CHANNEL_POLICIES = {
+    [ChatChannel.Game]: { sanctions: true, allowPhoneNumbers: false },
+    [ChatChannel.Spectator]: { sanctions: true, allowPhoneNumbers: false },
+    [ChatChannel.Group]: { sanctions: true, allowPhoneNumbers: false },
+    [ChatChannel.Support]: { sanctions: false, allowPhoneNumbers: true },
+};
+
+// Domain endings that are rarely anything else, and ones that are also everyday words ("go.to", "x.in"). A bare
+// domain with a word-like ending only counts as a link with a path, another dot or a digit in its name.
+const LINK_ENDINGS = 'com|net|org|io|xyz|ly|gg';
+const WORD_LIKE_ENDINGS = 'in|me|co|to|app|site|online|info|link|top|club|shop';
+const LINK_PATTERN = new RegExp([
+    '\\b(?:https?:\\/\\/|www\\.)\\S+',
+    `\\b[a-z0-9-]+\\.(?:${LINK_ENDINGS})\\b`,
+    `\\b[a-z0-9-]+\\.(?:${WORD_LIKE_ENDINGS})\\/`,
+    `\\b[a-z0-9-]+\\.[a-z0-9-]+\\.(?:${WORD_LIKE_ENDINGS})\\b`,
+    `\\b[a-z-]*\\d[a-z0-9-]*\\.(?:${WORD_LIKE_ENDINGS})\\b`,
+].join('|'), 'i');
+
+// Runs of 8 or more digits, separators allowed, are phone numbers if they have the shape of a mobile number:
+// Indian (+91 98765 43210), Bangladeshi (+880 1712-345678) or any number written with a country code.
+const PHONE_CANDIDATE_PATTERN = /\+?\d(?:[\s\-().]*\d){7,}/g;
+const PHONE_FORMATS = [/^(?:\+?91|0)?[6-9]\d{9}$/, /^(?:\+?88)?01[3-9]\d{8}$/, /^\+\d{10,15}$/];
+
+function containsPhoneNumber(text) {
+    return (text.match(PHONE_CANDIDATE_PATTERN) || []).some(candidate => {
+        const digits = candidate.replace(/[^\d+]/g, '');
+        return PHONE_FORMATS.some(format => format.test(digits));
+    });
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compiles the configured words and patterns into case-insensitive expressions, skipping invalid ones.
+ */
+function compileFilters({ words = [], patterns = [] } = {}) {
+    const filters = [];
+    for (const word of Array.isArray(words) ? words : []) {
+        // Whole words only, in any script: `\b` only knows ASCII letters.
+        if (typeof word === 'string' && word.trim()) filters.push(new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(word.trim())}(?![\\p{L}\\p{N}])`, 'giu'));
+    }
+    for (const pattern of Array.isArray(patterns) ? patterns : []) {
+        try {
+            filters.push(new RegExp(pattern, 'giu'));
+        } catch (e) {
+            console.error(`Ignoring invalid chat filter pattern ${pattern}:`, e.message);
+        }
+    }
+    return filters;
+}
+
+function mask(text, filters) {
+    return filters.reduce((masked, filter) => masked.replace(filter, match => '*'.repeat(match.length)), text);
+}
+
+class ChatModerator {
+    constructor(settings) {
+        this.configure(settings);
+        this.sanctions = new Map(); // userId -> active sanction rows
+    }
+
+    configure(settings) {
+        this.filters = compileFilters(settings || {});
+        this.blockLinks = settings?.blockLinks !== false;
+        this.blockPhoneNumbers = settings?.blockPhoneNumbers !== false;
+    }
+
+    setSanctions(rows) {
+        this.sanctions = new Map();
+        rows.forEach(row => this.addSanction(row));
+    }
+
+    addSanction(row) {
+        this.sanctions.set(row.user_id, [...(this.sanctions.get(row.user_id) || []), row]);
+    }
+
+    removeSanctions(userId, type) {
+        const remaining = (this.sanctions.get(userId) || []).filter(s => s.type !== type);
+        if (remaining.length > 0) this.sanctions.set(userId, remaining);
+        else this.sanctions.delete(userId);
+    }
+
+    /**
+     * The sanction currently applying to a user, bans before mutes, or null.
+     */
+    getSanction(userId, now = Date.now()) {
+        const active = (this.sanctions.get(userId) || []).filter(s => !s.expires_at || Date.parse(s.expires_at) > now);
+        return active.find(s => s.type === SanctionType.Ban) || active.find(s => s.type === SanctionType.Mute) || null;
+    }
+
+    /**
+     * `{ rejected, message, until }` for a muted or banned user, otherwise null.
+     */
+    checkSanction(userId, now = Date.now()) {
+        const sanction = this.getSanction(userId, now);
+        if (!sanction) return null;
+        const rejected = sanction.type === SanctionType.Ban ? ModerationReason.Banned : ModerationReason.Muted;
+        return { rejected, message: REASON_MESSAGES[rejected], until: sanction.expires_at || null };
+    }
+
+    /**
+     * Checks a message a user wants to post. Returns `{ text }` with blocked words masked, or
+     * `{ rejected, message, until }` when it may not be posted at all.
+     */
+    moderate(userId, text, channel, now = Date.now()) {
+        const policy = CHANNEL_POLICIES[channel] || CHANNEL_POLICIES[ChatChannel.Group];
+        const sanctioned = policy.sanctions ? this.checkSanction(userId, now) : null;
+        if (sanctioned) return sanctioned;
+
+        const trimmed = typeof text === 'string' ? text.trim() : '';
+        let rejected = null;
+        if (!trimmed) rejected = ModerationReason.Empty;
+        else if (trimmed.length > MAX_MESSAGE_LENGTH) rejected = ModerationReason.TooLong;
+        else if (this.blockLinks && LINK_PATTERN.test(trimmed)) rejected = ModerationReason.LinkBlocked;
+        else if (this.blockPhoneNumbers && !policy.allowPhoneNumbers && containsPhoneNumber(trimmed)) rejected = ModerationReason.PhoneBlocked;
+        if (rejected) return { rejected, message: REASON_MESSAGES[rejected], until: null };
+
+        return { text: mask(trimmed, this.filters) };
+    }
+}
+
+/**
+ * Reads the `chat_moderation` settings (`{ words, patterns, blockLinks, blockPhoneNumbers }`), or null.
+ */
+async function loadModerationSettings(supabase) {
+    const { data, error } = await supabase.from('app_settings').select('value').eq('key', 'chat_moderation').maybeSingle();
+    if (error) throw new Error(`Failed to load chat moderation settings: ${error.message}`);
+    return data?.value || null;
+}
+
+async function loadActiveSanctions(supabase) {
+    const { data, error } = await supabase.from('chat_sanctions').select('*')
+        .is('revoked_at', null).or(`expires_at.is.null,expires_at.gt.${new Date().toISOString()}`);
+    if (error) throw new Error(`Failed to load chat sanctions: ${error.message}`);
+    return data || [];
+}
+
+/**
+ * Mutes or bans a user. Mutes default to an hour, bans without `minutes` are permanent.
+ */
+async function sanctionUser({ userId, type, minutes, reason, adminId }, supabase) {
+    const duration = Number(minutes) > 0 ? Number(minutes) : (type === SanctionType.Mute ? DEFAULT_MUTE_MINUTES : null);
+    const { data, error } = await supabase.from('chat_sanctions').insert({
+        user_id: userId,
+        type,
+        reason: typeof reason === 'string' ? reason.slice(0, 200) : null,
+        expires_at: duration ? new Date(Date.now() + duration * 60000).toISOString() : null,
+        created_by: adminId,
+    }).select().single();
+    if (error) throw new Error(`Failed to ${type === SanctionType.Ban ? 'ban' : 'mute'} user: ${error.message}`);
+    return data;
+}
+
+/**
+ * Lifts every active sanction of a type from a user.
+ */
+async function liftSanctions(userId, type, supabase) {
+    const { error } = await supabase.from('chat_sanctions')
+        .update({ revoked_at: new Date().toISOString() }).eq('user_id', userId).eq('type', type).is('revoked_at', null);
+    if (error) throw new Error(`Failed to lift sanction: ${error.message}`);
+}
+
+/**
+ * Files a user's report of a chat message for the admins to review.
+ */
+async function reportMessage({ channel, messageId, gameCode = null, reporterId, reportedUserId, messageText, reason }, supabase) {
+    const { error } = await supabase.from('chat_reports').insert({
+        channel,
+        message_id: String(messageId),
+        game_code: gameCode,
+        reporter_id: reporterId,
+        reported_user_id: reportedUserId,
+        message_text: messageText,
+        reason: typeof reason === 'string' ? reason.slice(0, 200) : null,
+    });
+    if (error) throw new Error(`Failed to save report: ${error.message}`);
+}
+
+module.exports = {
+    ChatChannel, SanctionType, ModerationReason, ChatModerator,
+    loadModerationSettings, loadActiveSanctions, sanctionUser, liftSanctions, reportMessage
+};
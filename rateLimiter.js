@@ -0,0 +1,186 @@
+// dream-ludo-server/rateLimiter.js
+
+"use strict";
+
+/**
+ * Rate limiting for every WebSocket channel.
+ *
+ * Each message type has a limit `{ capacity, refillPerSecond, maxBytes }`, looked up as `channel:TYPE`, then
+ * `*:TYPE`, then `channel:*`, then `*`. Every raw frame is first counted as a `FRAME`, before it is parsed, so
+ * frames that are not valid messages are limited too; a message then also counts under its own type.
+ * A message takes one token from the sender's user bucket and one from their IP bucket (IP buckets are
+ * `ipMultiplier` times larger, as several players can share an address). Whichever bucket is empty gets a strike
+ * and a cooldown on that channel, so one user running out does not cool down everyone on their address; a message
+ * larger than `maxBytes`, or a frame that is not a valid message, strikes the user (or the IP before they have
+ * signed in).
+ * Cooldowns double with every strike inside `strikeWindowSeconds`. A sender that reaches `maxStrikes`, or keeps
+ * sending through a cooldown, should be disconnected.
+ *
+ * The defaults below can be overridden from the `rate_limits` row of `app_settings`.
+ */
+
+const DEFAULT_SETTINGS = {
+    limits: {
+        '*': { capacity: 20, refillPerSecond: 5, maxBytes: 4096 },
+        '*:FRAME': { capacity: 80, refillPerSecond: 25, maxBytes: 4096 }, // Above every per-type limit, which still apply.
+        'game:*': { capacity: 30, refillPerSecond: 10, maxBytes: 2048 },
+        'game:AUTH': { capacity: 5, refillPerSecond: 0.2, maxBytes: 4096 },
+        'game:ACK_STATE': { capacity: 60, refillPerSecond: 20, maxBytes: 256 },
+        'game:SEND_CHAT_MESSAGE': { capacity: 5, refillPerSecond: 0.5, maxBytes: 1024 },
+        'game:SEND_SPECTATOR_CHAT_MESSAGE': { capacity: 5, refillPerSecond: 0.5, maxBytes: 1024 },
+        'group-chat:*': { capacity: 10, refillPerSecond: 2, maxBytes: 1024 },
+        'group-chat:SEND_MESSAGE': { capacity: 5, refillPerSecond: 0.5, maxBytes: 1024 },
+        'group-chat:TYPING': { capacity: 20, refillPerSecond: 5, maxBytes: 256 }, // Sent per keystroke, throttled by the server.
+        'group-chat:LOAD_MORE': { capacity: 5, refillPerSecond: 1, maxBytes: 512 },
+        'support:*': { capacity: 10, refillPerSecond: 2, maxBytes: 1024 },
+        'support:SEND_MESSAGE': { capacity: 5, refillPerSecond: 0.2, maxBytes: 4096 },
+        'matchmaking:*': { capacity: 10, refillPerSecond: 1, maxBytes: 1024 },
+    },
+    ipMultiplier: 4,
+    cooldownSeconds: 5,
+    maxCooldownSeconds: 300,
+    strikeWindowSeconds: 600,
+    maxStrikes: 5,
+    maxIgnoredInCooldown: 20, // Messages a sender may keep sending during a cooldown before being disconnected.
+};
+
+const RateLimitReason = { RateExceeded: 'RATE_EXCEEDED', TooLarge: 'TOO_LARGE', Malformed: 'MALFORMED', Cooldown: 'COOLDOWN' };
+
+// The type every raw frame is counted as before it is parsed.
+const FRAME = 'FRAME';
+
+function isValidLimit(limit) {
+    return limit && [limit.capacity, limit.refillPerSecond, limit.maxBytes].every(v => Number.isFinite(v) && v > 0);
+}
+
+function positiveOr(value, fallback) {
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Merges settings from `app_settings` over the defaults, ignoring any value that is not usable.
+ */
+function resolveSettings(overrides = {}) {
+    const limits = { ...DEFAULT_SETTINGS.limits };
+    for (const [key, limit] of Object.entries(overrides?.limits || {})) {
+        const merged = { ...limits[key], ...limit };
+        if (isValidLimit(merged)) limits[key] = merged;
+    }
+    const settings = { limits };
+    for (const key of Object.keys(DEFAULT_SETTINGS)) {
+        if (key !== 'limits') settings[key] = positiveOr(overrides?.[key], DEFAULT_SETTINGS[key]);
+    }
+    return settings;
+}
+
+function getSubjects(userId, ip) {
+    return [userId && `user:${userId}`, ip && `ip:${ip}`].filter(Boolean);
+}
+
+class RateLimiter {
+    constructor(settings) {
+        this.settings = resolveSettings(settings);
+        this.buckets = new Map();    // subject:limit key -> { tokens, capacity, refillPerSecond, updatedAt }
+        this.offenders = new Map();  // subject:channel -> { strikes, lastStrikeAt, cooldownUntil, ignored }
+    }
+
+    configure(settings) {
+        this.settings = resolveSettings(settings);
+    }
+
+    getLimit(channel, type) {
+        const { limits } = this.settings;
+        const key = [`${channel}:${type}`, `*:${type}`, `${channel}:*`, '*'].find(k => limits[k]);
+        return { key, ...limits[key] };
+    }
+
+    /**
+     * Counts one message. Returns null if it may be handled, otherwise
+     * `{ reason, retryAfterMs, disconnect }`.
+     */
+    check(channel, type, { userId, ip, size = 0 }, now = Date.now()) {
+        const subjects = getSubjects(userId, ip);
+        for (const subject of subjects) {
+            const offender = this.offenders.get(`${subject}:${channel}`);
+            if (offender && offender.cooldownUntil > now) {
+                offender.ignored++;
+                return {
+                    reason: RateLimitReason.Cooldown,
+                    retryAfterMs: offender.cooldownUntil - now,
+                    disconnect: offender.ignored > this.settings.maxIgnoredInCooldown,
+                };
+            }
+        }
+
+        const limit = this.getLimit(channel, type);
+        if (size > limit.maxBytes) return this.strike(subjects.slice(0, 1), channel, RateLimitReason.TooLarge, now);
+
+        const buckets = subjects.map(subject => {
+            const capacity = subject.startsWith('ip:') ? limit.capacity * this.settings.ipMultiplier : limit.capacity;
+            return this.refill(`${subject}:${limit.key}`, capacity, limit.refillPerSecond, now);
+        });
+        const exhausted = subjects.filter((subject, i) => buckets[i].tokens < 1);
+        if (exhausted.length > 0) return this.strike(exhausted, channel, RateLimitReason.RateExceeded, now);
+        buckets.forEach(bucket => { bucket.tokens -= 1; });
+        return null;
+    }
+
+    /**
+     * Strikes the sender of a frame that could not be read as a message. Returns the same verdict as `check`.
+     */
+    reportMalformed(channel, { userId, ip }, now = Date.now()) {
+        return this.strike(getSubjects(userId, ip).slice(0, 1), channel, RateLimitReason.Malformed, now);
+    }
+
+    refill(key, capacity, refillPerSecond, now) {
+        const bucket = this.buckets.get(key) || { tokens: capacity, updatedAt: now };
+        Object.assign(bucket, { capacity, refillPerSecond });
+        bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) / 1000 * refillPerSecond);
+        bucket.updatedAt = now;
+        this.buckets.set(key, bucket);
+        return bucket;
+    }
+
+    strike(subjects, channel, reason, now) {
+        const { cooldownSeconds, maxCooldownSeconds, strikeWindowSeconds, maxStrikes } = this.settings;
+        let strikes = 0;
+        let cooldownMs = 0;
+        for (const subject of subjects) {
+            const key = `${subject}:${channel}`;
+            const offender = this.offenders.get(key) || { strikes: 0, lastStrikeAt: 0 };
+            if (now - offender.lastStrikeAt > strikeWindowSeconds * 1000) offender.strikes = 0;
+            offender.strikes++;
+            offender.lastStrikeAt = now;
+            const cooldown = Math.min(maxCooldownSeconds, cooldownSeconds * 2 ** (offender.strikes - 1)) * 1000;
+            offender.cooldownUntil = now + cooldown;
+            offender.ignored = 0;
+            this.offenders.set(key, offender);
+            strikes = Math.max(strikes, offender.strikes);
+            cooldownMs = Math.max(cooldownMs, cooldown);
+        }
+        return { reason, retryAfterMs: cooldownMs, disconnect: strikes >= maxStrikes };
+    }
+
+    /**
+     * Forgets full buckets and offenders whose strikes have expired, so memory does not grow with every visitor.
+     */
+    prune(now = Date.now()) {
+        for (const [key, bucket] of this.buckets) {
+            if (bucket.tokens + (now - bucket.updatedAt) / 1000 * bucket.refillPerSecond >= bucket.capacity) this.buckets.delete(key);
+        }
+        for (const [key, offender] of this.offenders) {
+            if (offender.cooldownUntil <= now && now - offender.lastStrikeAt > this.settings.strikeWindowSeconds * 1000) this.offenders.delete(key);
+        }
+    }
+}
+
+/**
+ * Reads the `rate_limits` overrides from `app_settings`, or null if there are none.
+ */
+async function loadRateLimitSettings(supabase) {
+    const { data, error } = await supabase.from('app_settings').select('value').eq('key', 'rate_limits').maybeSingle();
+    if (error) throw new Error(`Failed to load rate limits: ${error.message}`);
+    return data?.value || null;
+}
+
+module.exports = { FRAME, RateLimitReason, RateLimiter, loadRateLimitSettings };
@@ -0,0 +1,230 @@
+// dream-ludo-server/ratings.js
+
+"use strict";
+
+/**
+ * Player ratings and stats.
+ *
+ * Ratings use multiplayer Elo: a game with N rated players counts as every pair of them playing each other,
+ * the better-placed player winning the pair (equal places draw), with K divided by N - 1 so a 4-player game
+ * moves a rating about as much as a 1v1. Bots are placed in the finishing order but are not rated.
+ *
+ * `player_ratings` holds the current rating and running totals per user, `rating_history` one row per user
+ * per rated game. Both are written together by the `record_rating_result` database function
+ * (supabase/migrations/20261019200000_rating_results.sql), and the history row is unique per
+ * (match_id, user_id), so a game is only ever counted once. Room codes are reused, so games are told apart by
+ * their `matchId`.
+ */
+
+const DEFAULT_RATING = 1500;
+const K_FACTOR = 32;
+const PROVISIONAL_K_FACTOR = 48; // Ratings move faster until a player has settled in.
+const PROVISIONAL_GAMES = 10;
+
+const LeaderboardPeriod = { Daily: 'daily', Weekly: 'weekly', AllTime: 'all-time' };
+
+function expectedScore(rating, opponentRating) {
+    return 1 / (1 + 10 ** ((opponentRating - rating) / 400));
+}
+
+/**
+ * Rating change for each player given `{ playerId, rating, rank, gamesPlayed }`, where a lower rank is better.
+ * Returns a Map of playerId -> delta.
+ */
+function computeRatingChanges(players) {
+    const changes = new Map();
+    const opponents = players.length - 1;
+    for (const player of players) {
+        let score = 0;
+        let expected = 0;
+        for (const other of players) {
+            if (other === player) continue;
+            score += player.rank < other.rank ? 1 : player.rank === other.rank ? 0.5 : 0;
+            expected += expectedScore(player.rating, other.rating);
+        }
+        const k = player.gamesPlayed < PROVISIONAL_GAMES ? PROVISIONAL_K_FACTOR : K_FACTOR;
+        changes.set(player.playerId, opponents > 0 ? Math.round(k * (score - expected) / opponents) : 0);
+    }
+    return changes;
+}
+
+/**
+ * Places every player of a finished game from its `rankings` (1 is best, team mates share a rank).
+ * Anyone missing from the rankings is placed last.
+ */
+function getFinishingRanks(gameState) {
+    const ranks = new Map((gameState.rankings || []).map(r => [r.playerId, r.rank]));
+    const last = Math.max(0, ...ranks.values()) + 1;
+    gameState.players.forEach(p => { if (!ranks.has(p.playerId)) ranks.set(p.playerId, last); });
+    return ranks;
+}
+
+/**
+ * Captures made, pieces lost and the game's length in seconds, read from the replay log.
+ */
+function collectGameStats(gameState) {
+    const stats = new Map(gameState.players.map(p => [p.playerId, { captures: 0, piecesLost: 0 }]));
+    let startedAt = null;
+    let finishedAt = null;
+    for (const event of gameState.eventLog || []) {
+        if (event.type === 'GAME_STARTED') startedAt = event.timestamp;
+        if (event.type === 'GAME_FINISHED') finishedAt = event.timestamp;
+        if (event.type === 'PIECE_CAPTURED') {
+            stats.get(event.playerId).captures++;
+            stats.get(event.victimId).piecesLost++;
+        }
+    }
+    const gameSeconds = startedAt && finishedAt ? Math.round((finishedAt - startedAt) / 1000) : 0;
+    return { stats, gameSeconds };
+}
+
+async function loadRatingRows(userIds, supabase) {
+    const { data, error } = await supabase.from('player_ratings').select('*').in('user_id', userIds);
+    if (error) throw new Error(`Failed to load ratings: ${error.message}`);
+    return new Map((data || []).map(row => [row.user_id, row]));
+}
+
+/**
+ * Current ratings for a set of users. Users who have never played a rated game get the default rating.
+ */
+async function getRatings(userIds, supabase) {
+    const rows = await loadRatingRows(userIds, supabase);
+    return new Map(userIds.map(id => [id, rows.has(id) ? Number(rows.get(id).rating) : DEFAULT_RATING]));
+}
+
+async function getRating(userId, supabase) {
+    return (await getRatings([userId], supabase)).get(userId);
+}
+
+/**
+ * Rating and stats for one user, with their average game length.
+ */
+async function getPlayerStats(userId, supabase) {
+    const row = (await loadRatingRows([userId], supabase)).get(userId);
+    if (!row) return { userId, rating: DEFAULT_RATING, gamesPlayed: 0, wins: 0, captures: 0, piecesLost: 0, averageGameSeconds: 0 };
+    return {
+        userId,
+        rating: Number(row.rating),
+        gamesPlayed: row.games_played,
+        wins: row.wins,
+        captures: row.captures,
+        piecesLost: row.pieces_lost,
+        averageGameSeconds: row.games_played > 0 ? Math.round(row.total_game_seconds / row.games_played) : 0,
+    };
+}
+
+/**
+ * Counts one game for a user: its history row and the change to their totals. Returns the new rating, or null
+ * if the game was already counted for them.
+ */
+async function applyResult(gameState, userId, result, supabase) {
+    const { data, error } = await supabase.rpc('record_rating_result', {
+        // Snapshots saved before games had a `matchId` fall back to the room code.
+        p_match_id: gameState.matchId || gameState.gameId,
+        p_game_code: gameState.gameId,
+        p_user_id: userId,
+        p_rating_change: result.change,
+        p_rank: result.rank,
+        p_is_win: result.isWin,
+        p_captures: result.captures,
+        p_pieces_lost: result.piecesLost,
+        p_game_seconds: result.gameSeconds,
+    });
+    if (error) throw new Error(`Failed to record the rating of ${userId}: ${error.message}`);
+    return data === null ? null : Number(data);
+}
+
+/**
+ * Rates a finished game and updates every human player's stats. Returns the rating changes of the players
+ * counted by this call, or null when the game is not rated (cancelled, or fewer than two human players).
+ */
+async function recordGameResults(gameState, supabase) {
+    if (gameState.gameStatus !== 'Finished' || gameState.isCancelled) return null;
+    const humans = gameState.players.filter(p => !p.isBot);
+    if (humans.length < 2) return null;
+
+    const userIds = humans.map(p => p.playerId);
+    const ratingRows = await loadRatingRows(userIds, supabase);
+    const ranks = getFinishingRanks(gameState);
+    const { stats, gameSeconds } = collectGameStats(gameState);
+    const winnerIds = gameState.winner ? (gameState.winner.playerIds || [gameState.winner.playerId]) : [];
+
+    const rated = humans.map(p => ({
+        playerId: p.playerId,
+        rating: ratingRows.has(p.playerId) ? Number(ratingRows.get(p.playerId).rating) : DEFAULT_RATING,
+        gamesPlayed: ratingRows.get(p.playerId)?.games_played || 0,
+        rank: ranks.get(p.playerId),
+    }));
+    const changes = computeRatingChanges(rated);
+
+    const results = [];
+    for (const player of rated) {
+        const change = changes.get(player.playerId);
+        const isWin = winnerIds.includes(player.playerId);
+        const { captures, piecesLost } = stats.get(player.playerId);
+        const after = await applyResult(gameState, player.playerId, {
+            change, rank: player.rank, isWin, captures, piecesLost, gameSeconds
+        }, supabase);
+        if (after === null) continue; // Already counted.
+        results.push({ playerId: player.playerId, rank: player.rank, before: after - change, after, change });
+    }
+    return results;
+}
+
+/**
+ * Start of the leaderboard period in UTC: today for daily, Monday of this week for weekly.
+ */
+function getPeriodStart(period, now = new Date()) {
+    const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    if (period === LeaderboardPeriod.Weekly) start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    return start;
+}
+
+async function attachUsernames(entries, supabase) {
+    if (entries.length === 0) return entries;
+    const { data: profiles } = await supabase.from('profiles').select('id, username').in('id', entries.map(e => e.userId));
+    const names = new Map((profiles || []).map(p => [p.id, p.username]));
+    return entries.map(e => ({ ...e, username: names.get(e.userId) || 'Player' }));
+}
+
+/**
+ * All-time boards rank by rating. Daily and weekly boards rank by rating gained in the period, then wins.
+ */
+async function getLeaderboard(period, { limit = 50 } = {}, supabase) {
+    if (period === LeaderboardPeriod.AllTime) {
+        const { data, error } = await supabase.from('player_ratings')
+            .select('user_id, rating, games_played, wins').order('rating', { ascending: false }).limit(limit);
+        if (error) throw new Error(`Failed to load leaderboard: ${error.message}`);
+        const entries = (data || []).map((row, index) => ({
+            rank: index + 1, userId: row.user_id, rating: Number(row.rating), gamesPlayed: row.games_played, wins: row.wins,
+        }));
+        return attachUsernames(entries, supabase);
+    }
+
+    const { data, error } = await supabase.from('rating_history')
+        .select('user_id, rating_change, rating_after, is_win, created_at')
+        .gte('created_at', getPeriodStart(period).toISOString())
+        .order('created_at', { ascending: true });
+    if (error) throw new Error(`Failed to load leaderboard: ${error.message}`);
+
+    const totals = new Map();
+    for (const row of data || []) {
+        const entry = totals.get(row.user_id) || { userId: row.user_id, ratingChange: 0, gamesPlayed: 0, wins: 0 };
+        entry.ratingChange += Number(row.rating_change);
+        entry.gamesPlayed++;
+        if (row.is_win) entry.wins++;
+        entry.rating = Number(row.rating_after);
+        totals.set(row.user_id, entry);
+    }
+    const entries = [...totals.values()]
+        .sort((a, b) => b.ratingChange - a.ratingChange || b.wins - a.wins)
+        .slice(0, limit)
+        .map((entry, index) => ({ rank: index + 1, ...entry }));
+    return attachUsernames(entries, supabase);
+}
+
+module.exports = {
+    DEFAULT_RATING, LeaderboardPeriod,
+    computeRatingChanges, getFinishingRanks,
+    getRating, getRatings, getPlayerStats, recordGameResults, getLeaderboard
+};
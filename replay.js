@@ -0,0 +1,132 @@
+// dream-ludo-server/replay.js
+
+"use strict";
+
+/**
+ * Structured log of everything that changes the board, kept in `gameState.eventLog`.
+ *
+ * `turn_history` is written for people to read, this log is written for machines: every event carries the
+ * values it applied (the piece's old and new square, the score after a move, ...) so `replayGame` can rebuild
+ * the board at any step without re-running game logic or re-rolling dice. Replaying the same log always gives
+ * the same result.
+ */
+
+const ReplayEvent = {
+    GameCreated: 'GAME_CREATED',
+    PlayerJoined: 'PLAYER_JOINED',
+    PlayerRemoved: 'PLAYER_REMOVED',
+    GameStarted: 'GAME_STARTED',
+    DiceRolled: 'DICE_ROLLED',
+    PieceMoved: 'PIECE_MOVED',
+    PieceCaptured: 'PIECE_CAPTURED',
+    PieceFinished: 'PIECE_FINISHED',
+    TurnPassed: 'TURN_PASSED',
+    PlayerLeft: 'PLAYER_LEFT',
+    GameFinished: 'GAME_FINISHED',
+};
+
+/**
+ * Appends an event to the game's log. `seq` is the event's index, so step N of a replay is `eventLog[N - 1]`.
+ */
+function recordEvent(gameState, type, data = {}) {
+    if (!gameState.eventLog) gameState.eventLog = [];
+    gameState.eventLog.push({ seq: gameState.eventLog.length, type, timestamp: Date.now(), ...data });
+}
+
+function findPlayer(state, playerId) {
+    return state.players.find(p => p.playerId === playerId);
+}
+
+function findPiece(state, ownerId, pieceId) {
+    const owner = findPlayer(state, ownerId);
+    return owner && owner.pieces.find(p => p.id === pieceId);
+}
+
+/**
+ * Applies one event to a replay state in place.
+ */
+function applyEvent(state, event) {
+    switch (event.type) {
+        case ReplayEvent.GameCreated:
+            Object.assign(state, {
+                gameId: event.gameId, type: event.gameType, mode: event.mode, max_players: event.max_players,
+                isTeamGame: event.isTeamGame, rules: event.rules, entryFee: event.entryFee,
+            });
+            break;
+        case ReplayEvent.PlayerJoined:
+            state.players.splice(event.index ?? state.players.length, 0, {
+                playerId: event.playerId, name: event.name, color: event.color, teamId: event.teamId,
+                pieces: event.pieces.map(p => ({ ...p })), score: 0, hasFinished: false, isRemoved: false,
+            });
+            break;
+        case ReplayEvent.PlayerRemoved:
+            state.players = state.players.filter(p => p.playerId !== event.playerId);
+            break;
+        case ReplayEvent.GameStarted:
+            state.gameStatus = 'Playing';
+            state.currentPlayerIndex = 0;
+            break;
+        case ReplayEvent.DiceRolled:
+            state.diceValue = event.value;
+            state.movablePieces = [...event.movablePieces];
+            break;
+        case ReplayEvent.PieceMoved: {
+            const piece = findPiece(state, event.ownerId, event.pieceId);
+            Object.assign(piece, event.to);
+            findPlayer(state, event.playerId).score = event.score;
+            state.diceValue = null;
+            state.movablePieces = [];
+            break;
+        }
+        case ReplayEvent.PieceCaptured: {
+            const piece = findPiece(state, event.victimId, event.pieceId);
+            Object.assign(piece, { state: 'Home', position: -1 });
+            findPlayer(state, event.victimId).score = event.victimScore;
+            findPlayer(state, event.playerId).score = event.score;
+            break;
+        }
+        case ReplayEvent.PieceFinished: {
+            const owner = findPlayer(state, event.ownerId);
+            owner.hasFinished = owner.pieces.every(p => p.state === 'Finished');
+            findPlayer(state, event.playerId).score = event.score;
+            break;
+        }
+        case ReplayEvent.TurnPassed:
+            state.currentPlayerIndex = event.currentPlayerIndex;
+            state.diceValue = null;
+            state.movablePieces = [];
+            break;
+        case ReplayEvent.PlayerLeft:
+            findPlayer(state, event.playerId).isRemoved = true;
+            break;
+        case ReplayEvent.GameFinished:
+            state.gameStatus = 'Finished';
+            state.winnerIds = [...event.winnerIds];
+            state.standings = event.standings || null;
+            state.rankings = event.rankings || null;
+            state.diceValue = null;
+            state.movablePieces = [];
+            break;
+        default:
+            throw new Error(`Unknown replay event: ${event.type}`);
+    }
+}
+
+/**
+ * Rebuilds the board after the first `step` events of a log (all of them by default).
+ */
+function replayGame(eventLog, step = eventLog.length) {
+    const state = {
+        gameStatus: 'Setup', players: [], currentPlayerIndex: 0, diceValue: null, movablePieces: [],
+        winnerIds: [], standings: null, rankings: null, step: 0, lastEvent: null,
+    };
+    const target = Math.max(0, Math.min(step, eventLog.length));
+    for (const event of eventLog.slice(0, target)) {
+        applyEvent(state, event);
+    }
+    state.step = target;
+    state.lastEvent = target > 0 ? eventLog[target - 1] : null;
+    return state;
+}
+
+module.exports = { ReplayEvent, recordEvent, replayGame };
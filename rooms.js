@@ -0,0 +1,83 @@
+// dream-ludo-server/rooms.js
+
+"use strict";
+
+const crypto = require('crypto');
+
+/**
+ * Access control for rooms. Private rooms can have a password and invite links: the password hash and the
+ * invite tokens live in `gameState.secrets`, which is never sent to clients; the public state only carries
+ * `hasPassword`. Tournament rooms only seat the tournament's registered players.
+ */
+
+const DEFAULT_INVITE_TTL = 3600;    // Seconds an invite link stays valid.
+const MAX_INVITE_TTL = 24 * 3600;
+const MAX_PASSWORD_LENGTH = 64;
+
+const JoinRejection = {
+    Banned: 'BANNED',
+    PasswordRequired: 'PASSWORD_REQUIRED',
+    WrongPassword: 'WRONG_PASSWORD',
+    InviteExpired: 'INVITE_EXPIRED',
+    NotRegistered: 'NOT_REGISTERED',
+};
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+    return { salt, hash: crypto.scryptSync(password, salt, 32).toString('hex') };
+}
+
+function isValidPassword(password) {
+    return typeof password === 'string' && password.length > 0 && password.length <= MAX_PASSWORD_LENGTH;
+}
+
+/**
+ * Protects a room with a password. Returns false if the password is not acceptable.
+ */
+function setRoomPassword(gameState, password) {
+    if (!isValidPassword(password)) return false;
+    gameState.secrets.roomPassword = hashPassword(password);
+    gameState.hasPassword = true;
+    return true;
+}
+
+function checkPassword(gameState, password) {
+    const stored = gameState.secrets?.roomPassword;
+    if (!stored || !isValidPassword(password)) return false;
+    const { hash } = hashPassword(password, stored.salt);
+    return crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(stored.hash, 'hex'));
+}
+
+/**
+ * Creates an invite token for the room that lets its holder in without the password until it expires.
+ */
+function createInvite(gameState, ttlSeconds = DEFAULT_INVITE_TTL, now = Date.now()) {
+    const ttl = Math.min(MAX_INVITE_TTL, Math.max(60, Number(ttlSeconds) || DEFAULT_INVITE_TTL));
+    const invites = gameState.secrets.invites || {};
+    for (const [token, expiresAt] of Object.entries(invites)) {
+        if (expiresAt <= now) delete invites[token];
+    }
+    const token = crypto.randomBytes(12).toString('base64url');
+    invites[token] = now + ttl * 1000;
+    gameState.secrets.invites = invites;
+    return { token, expiresAt: invites[token] };
+}
+
+/**
+ * Why a user may not enter the room, or null if they may. Players already seated are always let back in,
+ * and users who are not registered for a tournament may still watch it.
+ */
+function getJoinRejection(gameState, userId, { password, invite, spectate = false } = {}, now = Date.now()) {
+    if (gameState.players.some(p => p.playerId === userId)) return null;
+    if (gameState.bannedIds?.includes(userId)) return JoinRejection.Banned;
+    if (gameState.type === 'tournament' && !spectate && !gameState.reservedFor?.includes(userId)) return JoinRejection.NotRegistered;
+    if (!gameState.hasPassword) return null;
+    if (invite) {
+        const expiresAt = gameState.secrets.invites?.[invite];
+        if (expiresAt && expiresAt > now) return null;
+        if (!password) return JoinRejection.InviteExpired;
+    }
+    if (!password) return JoinRejection.PasswordRequired;
+    return checkPassword(gameState, password) ? null : JoinRejection.WrongPassword;
+}
+
+module.exports = { JoinRejection, setRoomPassword, createInvite, getJoinRejection };
@@ -0,0 +1,53 @@
+// dream-ludo-server/rules.js
+
+"use strict";
+
+/**
+ * House rules for a game. A game stores the resolved rule set in `gameState.rules`, tournaments can
+ * override any of these keys through the `rules` column of their row.
+ */
+const DEFAULT_RULES = Object.freeze({
+    safeSpots: Object.freeze([1, 9, 14, 22, 27, 35, 40, 48]),
+    entryRolls: Object.freeze([6]),   // Dice values that bring a piece out of home.
+    maxConsecutiveSixes: 3,           // Rolling this many sixes in a row forfeits the turn, 0 disables it.
+    pitySixAfter: 4,                  // Force a 6 after this many misses with every piece at home, 0 disables it.
+    extraTurnOnSix: true,
+    extraTurnOnCapture: true,
+    extraTurnOnFinish: true,
+    exactRollToFinish: true,          // When false, overshooting the last square still finishes the piece.
+});
+
+const isBoolean = value => typeof value === 'boolean';
+const isCount = value => Number.isInteger(value) && value >= 0 && value <= 10;
+const isSquareList = (min, max) => value => Array.isArray(value)
+    && value.every(v => Number.isInteger(v) && v >= min && v <= max);
+
+const VALIDATORS = {
+    safeSpots: isSquareList(1, 52),
+    entryRolls: value => isSquareList(1, 6)(value) && value.length > 0,
+    maxConsecutiveSixes: isCount,
+    pitySixAfter: isCount,
+    extraTurnOnSix: isBoolean,
+    extraTurnOnCapture: isBoolean,
+    extraTurnOnFinish: isBoolean,
+    exactRollToFinish: isBoolean,
+};
+
+/**
+ * Merges overrides onto the defaults. Unknown keys and invalid values are dropped, so a typo in a
+ * tournament's config falls back to the standard rule instead of breaking the game.
+ */
+function resolveRules(overrides = {}) {
+    const rules = { safeSpots: [...DEFAULT_RULES.safeSpots], entryRolls: [...DEFAULT_RULES.entryRolls] };
+    for (const [key, validate] of Object.entries(VALIDATORS)) {
+        const value = overrides?.[key];
+        if (value !== undefined && validate(value)) {
+            rules[key] = Array.isArray(value) ? [...new Set(value)] : value;
+        } else if (rules[key] === undefined) {
+            rules[key] = DEFAULT_RULES[key];
+        }
+    }
+    return rules;
+}
+
+module.exports = { DEFAULT_RULES, resolveRules };
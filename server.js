@@ -1,19 +1,36 @@
-
 // /dream-ludo-server/server.js
 require('dotenv').config();
+const crypto = require('crypto');
 const express = require('express');
 const { createServer } = require('http');
 const { WebSocketServer } = require('ws');
 const { createClient } = require('@supabase/supabase-js');
+const { v4: uuidv4 } = require('uuid');
 const PaytmChecksum = require('./paytmChecksum'); // Import Paytm utility
 const RazorpayUtils = require('./razorpayUtils'); // Import Razorpay utility
+const Wallet = require('./wallet');
 
 const {
-    createNewGame, addPlayer, startGame,
-    initiateRoll, completeRoll, movePiece,
-    leaveGame, sendChatMessage, handleMissedTurn,
-    advanceTurn
+    createNewGame, addPlayer, addBot, getMinimumPlayers, startGame, cancelGame, movePiece,
+    leaveGame, sendChatMessage, advanceTurn, removePlayer, transferHost, kickPlayer, GameStatus,
+    setPlayerConnection, RECONNECT_GRACE_PERIOD,
+    setClientSeed, getPublicState, getSpectatorState
 } = require('./game');
+const Dice = require('./dice');
+const { BotDifficulty } = require('./bot');
+const { replayGame } = require('./replay');
+const { MatchmakingQueue, getRatingRange, parseQueueRequest } = require('./matchmaking');
+const Ratings = require('./ratings');
+const { GameActionQueue } = require('./actionQueue');
+const { TurnRunner } = require('./turns');
+const Rooms = require('./rooms');
+const Lobby = require('./lobby');
+const { FRAME, RateLimiter, loadRateLimitSettings } = require('./rateLimiter');
+const Moderation = require('./moderation');
+const Support = require('./support');
+const { chargeEntryFee, refundEntryFee, settleGame } = require('./settlement');
+const { createGameStore } = require('./gameStore');
+const { isValidUuid } = require('./validation');
 
 // --- Server & Supabase Setup ---
 const PORT = process.env.PORT || 8080;
@@ -26,6 +43,7 @@ if (!SUPABASE_URL || !SUPABASE_ANON_KEY || !SUPABASE_SERVICE_KEY) {
 }
 
 const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+const gameStore = createGameStore(process.env.GAME_STORE || 'supabase', { supabase, directory: process.env.GAME_STORE_DIR });
 const games = new Map();
 const supportClients = new Map(); // userId -> WebSocket
 const adminSupportClients = new Set(); // Set<WebSocket>
@@ -49,36 +67,80 @@ app.use(express.urlencoded({ extended: true }));
 const server = createServer(app);
 
 // --- Unified WebSocket Server ---
-const wss = new WebSocketServer({ server });
+const MAX_MESSAGE_BYTES = 64 * 1024; // Hard cap per frame, the rate limiter's per-type limits are much lower.
+const wss = new WebSocketServer({ server, maxPayload: MAX_MESSAGE_BYTES });
 
 app.get('/health', (req, res) => res.send('OK'));
 
 // --- Helpers ---
 
-function isValidUuid(id) {
-    const regex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-    return typeof id === 'string' && regex.test(id);
+/**
+ * Resolves the `Authorization: Bearer <token>` header to a user with their profile role.
+ */
+async function getRequestUser(req) {
+    const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    if (!token) return null;
+    const { data: { user } } = await supabase.auth.getUser(token);
+    if (!user) return null;
+    const { data: profile } = await supabase.from('profiles').select('role, username').eq('id', user.id).single();
+    return { id: user.id, role: profile?.role || 'user', username: profile?.username || 'User' };
+}
+
+function requireUser(req, res, next) {
+    getRequestUser(req).then((user) => {
+        if (!user) return res.status(401).json({ error: 'Unauthorized' });
+        req.user = user;
+        next();
+    }).catch(() => res.status(401).json({ error: 'Unauthorized' }));
 }
 
+function requireAdmin(req, res, next) {
+    requireUser(req, res, () => {
+        if (req.user.role !== 'admin') return res.status(403).json({ error: 'Forbidden' });
+        next();
+    });
+}
+
+/**
+ * Type of a transaction, or null if there is none. The payment endpoints below are called by browsers and
+ * gateways without a user session, so they must only ever touch deposits: a PENDING withdrawal is a hold
+ * that only an admin may complete or release.
+ */
+async function getTransactionType(transactionId) {
+    const { data } = await supabase.from('transactions').select('type').eq('id', transactionId).maybeSingle();
+    return data?.type || null;
+}
+
+async function cancelPendingDeposit(transactionId, description) {
+    if (await getTransactionType(transactionId) !== 'DEPOSIT') return null;
+    return Wallet.cancelTransaction(transactionId, 'FAILED', { description }, supabase);
+}
+
+// What became of a deposit the gateway reported as paid.
+const DepositResult = { Credited: 'CREDITED', NotDeposit: 'NOT_DEPOSIT', Final: 'FINAL', Failed: 'FAILED' };
+
+/**
+ * Credits a deposit its gateway has confirmed. Returns a `DepositResult`: `Credited` also when an earlier call
+ * already credited it, `Final` when it was closed some other way (e.g. rejected by an admin) and `Failed` when
+ * it could not be processed now and is worth retrying.
+ */
 async function processDepositServerSide(transactionId, paymentMethod = null) {
-    if (!isValidUuid(transactionId)) return false;
+    if (!isValidUuid(transactionId)) return DepositResult.NotDeposit;
     try {
-        const { data: tx, error: txError } = await supabase
-            .from('transactions').select('*').eq('id', transactionId).single();
-        if (txError || !tx) return false;
-        if (tx.status === 'COMPLETED') return true; 
-
-        const updateData = { status: 'COMPLETED' };
+        if (await getTransactionType(transactionId) !== 'DEPOSIT') return DepositResult.NotDeposit;
+        const updateData = {};
         if (paymentMethod) updateData.description = `Auto Deposit via ${paymentMethod}`;
 
-        await supabase.from('transactions').update(updateData).eq('id', transactionId);
-        
-        const { data: profile } = await supabase.from('profiles').select('*').eq('id', tx.user_id).single();
-        if (!profile) return false;
+        // Every caller has the payment confirmed by its gateway, so a deposit already marked FAILED (the user
+        // cancelled while it went through) is credited too. Only the caller that completes it pays referral bonuses.
+        const tx = await Wallet.completeConfirmedCredit(transactionId, updateData, supabase);
+        if (!tx) {
+            const { data: existing } = await supabase.from('transactions').select('status').eq('id', transactionId).single();
+            return existing?.status === 'COMPLETED' ? DepositResult.Credited : DepositResult.Final;
+        }
 
-        const depositAmount = Number(tx.amount);
-        const newBalance = Number(profile.deposit_balance) + depositAmount;
-        await supabase.from('profiles').update({ deposit_balance: newBalance }).eq('id', tx.user_id);
+        const { data: profile } = await supabase.from('profiles').select('username, referred_by').eq('id', tx.user_id).single();
+        if (!profile) return DepositResult.Failed;
 
         const { count } = await supabase.from('transactions').select('*', { count: 'exact', head: true }).eq('user_id', tx.user_id).eq('type', 'DEPOSIT').eq('status', 'COMPLETED');
 
@@ -89,23 +151,25 @@ async function processDepositServerSide(transactionId, paymentMethod = null) {
             const refereeBonus = getSetting('referee_bonus_amount');
 
             if (referrerBonus > 0) {
-                const { data: referrerProfile } = await supabase.from('profiles').select('deposit_balance, username').eq('id', profile.referred_by).single();
-                if (referrerProfile) {
-                     await supabase.from('profiles').update({ deposit_balance: Number(referrerProfile.deposit_balance) + referrerBonus }).eq('id', profile.referred_by);
-                     await supabase.from('transactions').insert({ user_id: profile.referred_by, amount: referrerBonus, type: 'REFERRAL_BONUS', status: 'COMPLETED', description: `Referral bonus from ${profile.username}`, source_user_id: tx.user_id });
-                }
+                await Wallet.postTransaction({
+                    userId: profile.referred_by, amount: referrerBonus, type: 'REFERRAL_BONUS',
+                    idempotencyKey: `referral:${tx.user_id}:referrer`,
+                    description: `Referral bonus from ${profile.username}`, source_user_id: tx.user_id
+                }, supabase);
             }
 
             if (refereeBonus > 0) {
-                const { data: updatedProfile } = await supabase.from('profiles').select('deposit_balance').eq('id', tx.user_id).single();
-                await supabase.from('profiles').update({ deposit_balance: Number(updatedProfile.deposit_balance) + refereeBonus }).eq('id', tx.user_id);
-                await supabase.from('transactions').insert({ user_id: tx.user_id, amount: refereeBonus, type: 'REFERRAL_BONUS', status: 'COMPLETED', description: 'Sign-up bonus for using a referral code.' });
+                await Wallet.postTransaction({
+                    userId: tx.user_id, amount: refereeBonus, type: 'REFERRAL_BONUS',
+                    idempotencyKey: `referral:${tx.user_id}:referee`,
+                    description: 'Sign-up bonus for using a referral code.'
+                }, supabase);
             }
         }
-        return true;
+        return DepositResult.Credited;
     } catch (e) {
         console.error("Error processing deposit:", e);
-        return false;
+        return DepositResult.Failed;
     }
 }
 
@@ -122,15 +186,52 @@ app.post('/api/payment/check-cancel', async (req, res) => {
     const { transactionId } = req.body;
     if (!transactionId || !isValidUuid(transactionId)) return res.status(400).json({error: 'Invalid ID'});
     try {
-        const { data } = await supabase.from('transactions').select('status').eq('id', transactionId).single();
-        if (data && data.status === 'PENDING') {
-            await supabase.from('transactions').update({ status: 'FAILED', description: 'Cancelled/Abandoned by User' }).eq('id', transactionId);
-            return res.json({ status: 'cancelled' });
-        }
+        const cancelled = await cancelPendingDeposit(transactionId, 'Cancelled/Abandoned by User');
+        if (cancelled) return res.json({ status: 'cancelled' });
+        const { data } = await supabase.from('transactions').select('status').eq('id', transactionId).eq('type', 'DEPOSIT').maybeSingle();
         return res.json({ status: data ? data.status : 'not_found' });
     } catch(e) { return res.status(500).json({error: e.message}); }
 });
 
+async function verifyUddoktapayInvoice(settings, invoiceId) {
+    const verifyUrl = settings.api_url.endsWith('/checkout-v2') ? settings.api_url.replace('/checkout-v2', '/verify-payment') : settings.api_url.replace(/\/$/, '') + '/verify-payment';
+    const response = await fetch(verifyUrl, {
+        method: 'POST', headers: { 'Content-Type': 'application/json', 'RT-UDDOKTAPAY-API-KEY': settings.api_key },
+        body: JSON.stringify({ invoice_id: invoiceId })
+    });
+    return response.json();
+}
+
+function isUddoktapayPaid(data) {
+    return data?.status === 'COMPLETED' || data?.status === 'SUCCESS';
+}
+
+/**
+ * Whether the verified invoice was created for this transaction. The transaction id in the callback or
+ * notification comes from the caller, so an invoice paid for one deposit could otherwise complete another.
+ */
+function isUddoktapayInvoiceFor(data, transactionId) {
+    return typeof data?.metadata?.transaction_id === 'string' && data.metadata.transaction_id === transactionId;
+}
+
+/**
+ * Whether the gateway reports the full amount of the pending deposit as paid.
+ */
+async function isUddoktapayAmountValid(data, transactionId) {
+    const { data: tx } = await supabase.from('transactions').select('amount').eq('id', transactionId).eq('type', 'DEPOSIT').maybeSingle();
+    const paid = Number(data?.amount);
+    return Boolean(tx) && Number.isFinite(paid) && Math.round(paid * 100) === Math.round(Number(tx.amount) * 100);
+}
+
+/**
+ * Compares secrets in constant time. Hashing first keeps the length of the expected value from leaking too.
+ */
+function safeEqual(received, expected) {
+    if (typeof received !== 'string' || typeof expected !== 'string') return false;
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(received), digest(expected));
+}
+
 app.all('/api/payment/success', async (req, res) => {
     const frontendUrl = req.query.frontend_url || req.body.frontend_url;
     const transactionId = req.query.transaction_id || req.body.transaction_id;
@@ -140,15 +241,12 @@ app.all('/api/payment/success', async (req, res) => {
              const { data: settingsData } = await supabase.from('app_settings').select('value').eq('key', 'deposit_gateway_settings').single();
              const settings = settingsData?.value?.uddoktapay;
              if (settings?.api_key && settings?.api_url) {
-                let verifyUrl = settings.api_url.endsWith('/checkout-v2') ? settings.api_url.replace('/checkout-v2', '/verify-payment') : settings.api_url.replace(/\/$/, '') + '/verify-payment';
-                const response = await fetch(verifyUrl, {
-                    method: 'POST', headers: { 'Content-Type': 'application/json', 'RT-UDDOKTAPAY-API-KEY': settings.api_key },
-                    body: JSON.stringify({ invoice_id: invoiceId })
-                });
-                const data = await response.json();
+                const data = await verifyUddoktapayInvoice(settings, invoiceId);
                 if (data) {
                     await logGatewayResponse(invoiceId, transactionId, data);
-                    if (data.status === 'COMPLETED' || data.status === 'SUCCESS') await processDepositServerSide(transactionId, data.payment_method);
+                    if (isUddoktapayPaid(data) && isUddoktapayInvoiceFor(data, transactionId) && await isUddoktapayAmountValid(data, transactionId)) {
+                        await processDepositServerSide(transactionId, data.payment_method);
+                    }
                 }
             }
         } catch (e) { console.error("Auto-verification exception:", e); }
@@ -157,11 +255,52 @@ app.all('/api/payment/success', async (req, res) => {
     else res.send(`Payment Successful.`);
 });
 
+// UddoktaPay server-to-server notification. The gateway retries anything that is not a 2xx,
+// so only configuration/transient failures return 5xx; bad requests are rejected with 4xx.
+app.post('/api/payment/webhook', async (req, res) => {
+    const apiKey = req.headers['rt-uddoktapay-api-key'];
+    const invoiceId = req.body?.invoice_id;
+    const transactionId = req.body?.metadata?.transaction_id;
+    try {
+        const { data: settingsData } = await supabase.from('app_settings').select('value').eq('key', 'deposit_gateway_settings').single();
+        const settings = settingsData?.value?.uddoktapay;
+        if (!settings?.api_key || !settings?.api_url) return res.status(500).json({ error: 'Gateway Config Error' });
+        if (!safeEqual(apiKey, settings.api_key)) return res.status(401).json({ error: 'Unauthorized' });
+        if (!invoiceId || !isValidUuid(transactionId)) return res.status(400).json({ error: 'Invalid payload' });
+
+        // Never trust the notification body; ask the gateway for the invoice's real status.
+        const data = await verifyUddoktapayInvoice(settings, invoiceId);
+        if (!data) return res.status(502).json({ error: 'Verification failed' });
+        await logGatewayResponse(invoiceId, transactionId, data);
+
+        if (!isUddoktapayInvoiceFor(data, transactionId)) return res.status(400).json({ error: 'Transaction mismatch' });
+        if (!isUddoktapayPaid(data)) return res.json({ status: 'ignored', payment_status: data.status });
+        if (!await isUddoktapayAmountValid(data, transactionId)) {
+            console.error(`Webhook amount mismatch for transaction ${transactionId}: gateway reported ${data.amount}`);
+            return res.status(400).json({ error: 'Amount mismatch' });
+        }
+
+        // processDepositServerSide is a no-op for already completed transactions, so repeated deliveries are safe.
+        const result = await processDepositServerSide(transactionId, data.payment_method);
+        if (result === DepositResult.NotDeposit) return res.status(404).json({ error: 'Deposit not found' });
+        if (result === DepositResult.Final) {
+            // Retrying cannot change this, so the delivery is acknowledged and the payment left for an admin.
+            console.error(`Webhook paid invoice ${invoiceId} for transaction ${transactionId}, which is closed without being credited.`);
+            return res.json({ status: 'ignored', reason: 'Transaction is closed' });
+        }
+        if (result === DepositResult.Failed) return res.status(500).json({ error: 'Deposit processing failed' });
+        return res.json({ status: 'success' });
+    } catch (e) {
+        console.error("Webhook processing exception:", e);
+        return res.status(500).json({ error: 'Internal Error' });
+    }
+});
+
 app.all('/api/payment/cancel', async (req, res) => {
     const transactionId = req.query.transaction_id || req.body.transaction_id;
     const frontendUrl = req.query.frontend_url || req.body.frontend_url;
     if (transactionId && isValidUuid(transactionId)) {
-        try { await supabase.from('transactions').update({ status: 'FAILED', description: 'Payment Cancelled by User' }).eq('id', transactionId); } catch (e) {}
+        try { await cancelPendingDeposit(transactionId, 'Payment Cancelled by User'); } catch (e) {}
     }
     if (frontendUrl) res.redirect(303, `${frontendUrl}/#/wallet?payment=cancel`);
     else res.send(`Payment Cancelled.`);
@@ -265,7 +404,7 @@ app.post('/api/payment/paytm-callback', async (req, res) => {
                  await processDepositServerSide(transaction_id, 'Paytm');
                  if (frontend_url) return res.redirect(303, `${frontend_url}/#/wallet?payment=success`);
             } else {
-                 if (transaction_id && isValidUuid(transaction_id)) await supabase.from('transactions').update({ status: 'FAILED', description: `Paytm Failed: ${received_data.RESPMSG}` }).eq('id', transaction_id);
+                 if (transaction_id && isValidUuid(transaction_id)) await cancelPendingDeposit(transaction_id, `Paytm Failed: ${received_data.RESPMSG}`);
             }
         }
     } catch (e) { console.error(e); }
@@ -286,7 +425,7 @@ app.get('/api/payment/razorpay-callback', async (req, res) => {
                  await processDepositServerSide(transaction_id, 'Razorpay');
                  if (frontend_url) return res.redirect(303, `${frontend_url}/#/wallet?payment=success`);
              } else {
-                 await supabase.from('transactions').update({ status: 'FAILED', description: `Razorpay status: ${razorpay_payment_link_status}` }).eq('id', transaction_id);
+                 await cancelPendingDeposit(transaction_id, `Razorpay status: ${razorpay_payment_link_status}`);
              }
         }
     } catch (e) { console.error(e); }
@@ -299,66 +438,1192 @@ app.post('/api/payment/verify', async (req, res) => {
     res.json({message: 'Manual verify endpoint'});
 });
 
-// --- GAME TIMER MANAGEMENT ---
-function startGameLoop(gameCode) {
+// --- Withdrawals ---
+
+async function getWithdrawalLimits() {
+    const { data } = await supabase.from('app_settings').select('value').eq('key', 'withdrawal_settings').maybeSingle();
+    return {
+        min: Number(data?.value?.min_amount) || 0,
+        max: Number(data?.value?.max_amount) || Infinity,
+    };
+}
+
+app.post('/api/withdrawals', requireUser, async (req, res) => {
+    const amount = Number(req.body.amount);
+    const { method, account } = req.body;
+    if (!Number.isFinite(amount) || amount <= 0) return res.status(400).json({ error: 'Invalid amount' });
+    if (!method || !account) return res.status(400).json({ error: 'Missing fields' });
+
+    try {
+        const { min, max } = await getWithdrawalLimits();
+        if (amount < min) return res.status(400).json({ error: `Minimum withdrawal is ${min}` });
+        if (amount > max) return res.status(400).json({ error: `Maximum withdrawal is ${max}` });
+
+        // The withdrawal is created PENDING, which holds the funds until an admin approves or rejects it.
+        const idempotencyKey = `withdrawal:${req.user.id}:${req.headers['idempotency-key'] || uuidv4()}`;
+        const { transaction } = await Wallet.postTransaction({
+            userId: req.user.id, amount, type: 'WITHDRAWAL', status: 'PENDING', idempotencyKey,
+            description: `Withdrawal to ${method}`, metadata: { method, account }
+        }, supabase);
+        return res.status(201).json({ withdrawal: transaction });
+    } catch (e) {
+        if (e.code === 'INSUFFICIENT_FUNDS') return res.status(400).json({ error: 'Insufficient withdrawable balance' });
+        if (e.code === 'ATTEMPT_FAILED') return res.status(409).json({ error: 'This withdrawal request failed, send a new one' });
+        console.error('Withdrawal request error:', e);
+        return res.status(500).json({ error: 'Could not create withdrawal' });
+    }
+});
+
+app.get('/api/withdrawals', requireUser, async (req, res) => {
+    const { data, error } = await supabase.from('transactions').select('*')
+        .eq('user_id', req.user.id).eq('type', 'WITHDRAWAL').order('created_at', { ascending: false });
+    if (error) return res.status(500).json({ error: 'DB Error' });
+    return res.json({ withdrawals: data });
+});
+
+app.get('/api/admin/withdrawals', requireAdmin, async (req, res) => {
+    let query = supabase.from('transactions').select('*').eq('type', 'WITHDRAWAL');
+    if (req.query.status) query = query.eq('status', String(req.query.status).toUpperCase());
+    const { data, error } = await query.order('created_at', { ascending: true });
+    if (error) return res.status(500).json({ error: 'DB Error' });
+    return res.json({ withdrawals: data });
+});
+
+async function resolveWithdrawal(req, res, approve) {
+    const { id } = req.params;
+    if (!isValidUuid(id)) return res.status(400).json({ error: 'Invalid ID' });
+    try {
+        const { data: tx } = await supabase.from('transactions').select('type, status').eq('id', id).maybeSingle();
+        if (!tx || tx.type !== 'WITHDRAWAL') return res.status(404).json({ error: 'Withdrawal not found' });
+
+        const updates = { processed_by: req.user.id };
+        const resolved = approve
+            ? await Wallet.completeTransaction(id, updates, supabase)
+            : await Wallet.cancelTransaction(id, 'REJECTED', { ...updates, description: `Withdrawal rejected: ${req.body.reason || 'No reason given'}` }, supabase);
+        if (!resolved) return res.status(409).json({ error: 'Withdrawal is no longer pending' });
+        return res.json({ withdrawal: resolved });
+    } catch (e) {
+        // Approving a withdrawal whose hold never went through takes the funds now, which may no longer be there.
+        if (e.code === 'INSUFFICIENT_FUNDS') return res.status(409).json({ error: 'The user no longer has the funds for this withdrawal, reject it' });
+        console.error('Withdrawal resolution error:', e);
+        return res.status(500).json({ error: 'Could not update withdrawal' });
+    }
+}
+
+app.post('/api/admin/withdrawals/:id/approve', requireAdmin, (req, res) => resolveWithdrawal(req, res, true));
+app.post('/api/admin/withdrawals/:id/reject', requireAdmin, (req, res) => resolveWithdrawal(req, res, false));
+
+app.get('/api/admin/wallet/reconcile/:userId', requireAdmin, async (req, res) => {
+    if (!isValidUuid(req.params.userId)) return res.status(400).json({ error: 'Invalid ID' });
+    try {
+        return res.json(await Wallet.reconcileBalance(req.params.userId, supabase));
+    } catch (e) {
+        if (e.code === 'PROFILE_NOT_FOUND') return res.status(404).json({ error: e.message });
+        return res.status(500).json({ error: e.message });
+    }
+});
+
+// --- Dice fairness ---
+
+async function findGameState(gameCode) {
     const game = games.get(gameCode);
-    if (!game || game.turnTimer) return;
+    if (game) return game.state;
+    return gameStore.load(gameCode);
+}
+
+app.get('/api/games/:gameCode/fairness', async (req, res) => {
+    try {
+        const state = await findGameState(req.params.gameCode.toUpperCase());
+        if (!state || !state.fairness) return res.status(404).json({ error: 'Game not found' });
+
+        const { commitment, clientSeeds, clientSeed, nonce } = state.fairness;
+        if (state.gameStatus !== GameStatus.Finished) {
+            return res.json({ gameCode: state.gameId, revealed: false, commitment, clientSeeds, clientSeed, nonce });
+        }
+
+        const { serverSeed } = state.secrets;
+        const verification = Dice.verifyGame({ serverSeed, commitment, clientSeed, turnHistory: state.turn_history });
+        return res.json({ gameCode: state.gameId, revealed: true, commitment, serverSeed, clientSeeds, clientSeed, nonce, ...verification });
+    } catch (e) {
+        console.error('Fairness lookup error:', e);
+        return res.status(500).json({ error: 'Could not load game' });
+    }
+});
+
+app.get('/api/games/:gameCode/replay', async (req, res) => {
+    try {
+        const state = await findGameState(req.params.gameCode.toUpperCase());
+        if (!state) return res.status(404).json({ error: 'Game not found' });
 
-    console.log(`Starting game loop for ${gameCode}`);
+        const events = state.eventLog || [];
+        return res.json({ gameCode: state.gameId, status: state.gameStatus, totalSteps: events.length, events, finalState: replayGame(events) });
+    } catch (e) {
+        console.error('Replay lookup error:', e);
+        return res.status(500).json({ error: 'Could not load game' });
+    }
+});
 
-    game.turnTimer = setInterval(async () => {
-        if (game.state.gameStatus === 'Finished') {
-            clearInterval(game.turnTimer);
-            game.turnTimer = null;
+// Step through a replay: `?step=N` returns the board after the first N events and the event that produced it.
+app.get('/api/admin/games/:gameCode/replay', requireAdmin, async (req, res) => {
+    try {
+        const state = await findGameState(req.params.gameCode.toUpperCase());
+        if (!state) return res.status(404).json({ error: 'Game not found' });
+
+        const events = state.eventLog || [];
+        const step = req.query.step === undefined ? events.length : Number(req.query.step);
+        if (!Number.isInteger(step) || step < 0 || step > events.length) {
+            return res.status(400).json({ error: `step must be between 0 and ${events.length}` });
+        }
+        const board = replayGame(events, step);
+        return res.json({
+            gameCode: state.gameId, step, totalSteps: events.length,
+            event: board.lastEvent, nextEvent: events[step] || null, state: board
+        });
+    } catch (e) {
+        console.error('Admin replay error:', e);
+        return res.status(500).json({ error: 'Could not load game' });
+    }
+});
+
+app.get('/api/leaderboard/:period', async (req, res) => {
+    const { period } = req.params;
+    if (!Object.values(Ratings.LeaderboardPeriod).includes(period)) {
+        return res.status(400).json({ error: `period must be one of ${Object.values(Ratings.LeaderboardPeriod).join(', ')}` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 100);
+    try {
+        return res.json({ period, entries: await Ratings.getLeaderboard(period, { limit }, supabase) });
+    } catch (e) {
+        console.error('Leaderboard error:', e);
+        return res.status(500).json({ error: 'Could not load the leaderboard' });
+    }
+});
+
+app.get('/api/players/:userId/stats', async (req, res) => {
+    if (!isValidUuid(req.params.userId)) return res.status(400).json({ error: 'Invalid user id' });
+    try {
+        return res.json(await Ratings.getPlayerStats(req.params.userId, supabase));
+    } catch (e) {
+        console.error('Player stats error:', e);
+        return res.status(500).json({ error: 'Could not load player stats' });
+    }
+});
+
+/**
+ * Updates the players' ratings for a finished game. A failure here is logged and does not hold up settlement.
+ */
+async function recordRatings(gameCode, game) {
+    try {
+        const results = await Ratings.recordGameResults(game.state, supabase);
+        if (results && results.length > 0) game.state.ratingChanges = results;
+    } catch (e) {
+        console.error(`Error recording ratings for ${gameCode}:`, e.message);
+    }
+}
+
+/**
+ * Pays out a finished game once, no matter how often its final state is broadcast.
+ */
+function settleFinishedGame(gameCode, game) {
+    if (game.state.gameStatus !== GameStatus.Finished || game.settling) return;
+    game.settling = settleGame(game.state, supabase)
+        .then(() => recordRatings(gameCode, game))
+        .then(() => game.queue.enqueue(() => broadcastGameState(gameCode)))
+        .catch((e) => {
+            console.error(`Error settling game ${gameCode}:`, e);
+            game.settling = null; // Payouts are idempotent, the next broadcast retries.
+        });
+}
+
+// --- Game events & session resume ---
+const MAX_GAME_EVENTS = 200;
+
+/**
+ * Appends an event to the game's journal, stamped with the state version it belongs to,
+ * so a reconnecting client can be sent everything after the last version it acknowledged.
+ */
+function recordGameEvent(game, type, payload, version) {
+    game.events.push({ version, type, payload, timestamp: Date.now() });
+    if (game.events.length > MAX_GAME_EVENTS) game.events.shift();
+}
+
+function sendToSockets(sockets, message) {
+    const data = JSON.stringify(message);
+    for (const client of sockets) {
+        if (client.readyState === client.OPEN) client.send(data);
+    }
+}
+
+function sendToGame(game, message) {
+    sendToSockets(game.clients.values(), message);
+}
+
+/**
+ * Sends an event to everyone in the game. Every event is followed by a state update, and belongs to that
+ * update's version: a client that acknowledged the current version has not seen it yet.
+ */
+function broadcastGameEvent(gameCode, type, payload) {
+    const game = games.get(gameCode);
+    if (!game) return;
+    const version = game.state.stateVersion + 1;
+    recordGameEvent(game, type, payload, version);
+    const message = { type, payload: { ...payload, version } };
+    sendToGame(game, message);
+    sendToSockets(game.spectators.values(), message);
+}
+
+/**
+ * Sends a resuming client the events it missed after `lastVersion`. When the journal no longer reaches
+ * back that far, `truncated` tells the client to rely on the full state update that follows.
+ */
+function sendMissedEvents(ws, game, lastVersion) {
+    if (!Number.isInteger(lastVersion) || lastVersion >= game.state.stateVersion) return;
+    const events = game.events.filter(e => e.version > lastVersion);
+    const truncated = game.events.length === 0 || game.events[0].version > lastVersion + 1;
+    ws.send(JSON.stringify({
+        type: 'MISSED_EVENTS',
+        payload: { fromVersion: lastVersion, toVersion: game.state.stateVersion, truncated, events }
+    }));
+}
+
+/**
+ * Snapshots the game to the store. Writes for one game are chained so an older snapshot never lands last.
+ * Log entries are never changed once written, so the logs are copied without copying every entry.
+ */
+function persistGame(gameCode, game) {
+    const { eventLog, turn_history, ...state } = game.state;
+    const snapshot = { ...JSON.parse(JSON.stringify(state)), eventLog: [...eventLog], turn_history: [...turn_history] };
+    game.persisting = (game.persisting || Promise.resolve())
+        .then(() => gameStore.save(gameCode, snapshot))
+        .catch(e => console.error(`Error persisting game ${gameCode}:`, e.message));
+}
+
+function broadcastGameState(gameCode, { persist = true } = {}) {
+    const game = games.get(gameCode);
+    if (!game) return;
+    // A finished game has no turn left to time, roll or play.
+    if (game.state.gameStatus === GameStatus.Finished) game.queue.cancelAll();
+    settleFinishedGame(gameCode, game);
+
+    game.state.stateVersion++;
+    for (const entry of game.state.turn_history.slice(game.historyCursor)) {
+        recordGameEvent(game, 'TURN_ACTIVITY', entry, game.state.stateVersion);
+    }
+    game.historyCursor = game.state.turn_history.length;
+
+    if (persist) persistGame(gameCode, game);
+    sendToGame(game, { type: 'GAME_STATE_UPDATE', payload: getPublicState(game.state) });
+    sendToSockets(game.spectators.values(), { type: 'GAME_STATE_UPDATE', payload: getSpectatorState(game.state) });
+    game.turns.scheduleBot();
+}
+
+function registerGame(gameCode, gameState) {
+    const game = {
+        state: gameState, clients: new Map(),
+        events: [], historyCursor: gameState.turn_history.length, acks: new Map(),
+        spectators: new Map(), spectatorChat: [],
+        queue: new GameActionQueue(`game ${gameCode}`)
+    };
+    game.turns = new TurnRunner(game, { broadcast: (options) => broadcastGameState(gameCode, options) }, supabase);
+    games.set(gameCode, game);
+    return game;
+}
+
+const IDLE_GAME_TIMEOUT = 60 * 1000;
+const RESTORED_GAME_TIMEOUT = 10 * 60 * 1000; // Players get longer to come back after a restart.
+
+/**
+ * Closes a game once nobody has been connected to it for a while. An unfinished game is cancelled, which
+ * refunds its entry fees, and stays loaded until the refunds have gone through; the store keeps its final
+ * state. Tournament lobbies are left to their no-show deadline instead.
+ */
+function scheduleIdleCleanup(gameCode, delay = IDLE_GAME_TIMEOUT) {
+    const game = games.get(gameCode);
+    const isIdle = () => games.get(gameCode) === game && game.clients.size === 0 && game.spectators.size === 0;
+    setTimeout(async () => {
+        if (!game || !isIdle()) return;
+        if (game.state.gameStatus === GameStatus.Setup && game.state.lobby) return;
+        try {
+            await game.queue.enqueue(() => {
+                if (!isIdle()) return;
+                if (game.state.gameStatus !== GameStatus.Finished) cancelGame(game.state, 'Everyone left the game.');
+                if (!game.state.settlement) broadcastGameState(gameCode);
+            });
+            await game.settling;
+        } catch (e) {
+            console.error(`Error closing idle game ${gameCode}:`, e.message);
+        }
+        if (!isIdle()) return;
+        // Settling failed and is retried on the next attempt.
+        if (!game.state.settlement) return scheduleIdleCleanup(gameCode);
+        game.turns.stop();
+        game.queue.cancelAll();
+        games.delete(gameCode);
+        // The last snapshot may still be on its way to the store.
+        game.persisting?.finally(() => { if (!games.has(gameCode)) gameStore.forget(gameCode); });
+    }, delay);
+}
+
+/**
+ * Reloads unfinished games from the store after a restart and resumes their turn timers.
+ * Everyone starts out disconnected, so the reconnect grace period covers the restart.
+ */
+async function restoreGames() {
+    let states;
+    try {
+        states = await gameStore.loadUnfinished();
+    } catch (e) {
+        console.error('Could not restore games:', e.message);
+        return;
+    }
+
+    for (const state of states) {
+        if (games.has(state.gameId)) continue;
+        for (const player of state.players) {
+            if (!player.isBot) setPlayerConnection(state, player.playerId, false);
+        }
+        state.spectatorCount = 0;
+
+        registerGame(state.gameId, state);
+        if (state.gameStatus === GameStatus.Playing) {
+            // Delayed transitions that were pending at shutdown are lost, so settle them now.
+            state.isRolling = false;
+            if (state.diceValue !== null && state.movablePieces.length === 0) await advanceTurn(state, supabase);
+            games.get(state.gameId).turns.start();
+        } else if (state.gameStatus === GameStatus.Setup && state.type === 'matchmaking') {
+            scheduleMatchStart(state.gameId);
+        } else if (state.gameStatus === GameStatus.Setup && state.lobby) {
+            const game = games.get(state.gameId);
+            game.queue.enqueue(() => updateLobby(state.gameId, game)).catch(() => {}); // Logged by the queue.
+        }
+        scheduleIdleCleanup(state.gameId, RESTORED_GAME_TIMEOUT);
+        console.log(`Restored game ${state.gameId} (${state.gameStatus})`);
+    }
+}
+
+/**
+ * Registered players of a tournament in registration order, which is also the order of their seats.
+ */
+async function loadTournamentSeats(tournamentId, maxPlayers) {
+    const { data, error } = await supabase.from('tournament_participants')
+        .select('user_id').eq('tournament_id', tournamentId)
+        .order('created_at', { ascending: true }).limit(maxPlayers);
+    if (error) throw new Error(`Failed to load tournament participants: ${error.message}`);
+    return (data || []).map(row => row.user_id);
+}
+
+/**
+ * Picks up registrations made after the tournament room was opened, before telling a user they are not registered.
+ * Seats already handed out keep their position.
+ */
+async function refreshTournamentSeats(game, userId) {
+    const { state } = game;
+    if (state.type !== 'tournament' || state.gameStatus !== GameStatus.Setup || state.reservedFor?.includes(userId)) return;
+    if (state.reservedFor.length >= state.max_players) return;
+    try {
+        const registered = await loadTournamentSeats(state.tournamentId, state.max_players);
+        state.reservedFor = [...state.reservedFor, ...registered.filter(id => !state.reservedFor.includes(id))].slice(0, state.max_players);
+    } catch (e) {
+        console.error(`Could not refresh the seats of ${state.gameId}:`, e.message);
+    }
+}
+
+/**
+ * Seats a user in the stands: they get the spectator view of the game and can only use the spectator chat.
+ */
+function joinAsSpectator(ws, gameCode, game) {
+    const previousSocket = game.spectators.get(ws.userId);
+    if (!previousSocket && game.spectators.size >= game.state.maxSpectators) {
+        ws.send(JSON.stringify({ type: 'ERROR', payload: { message: 'This game has reached its spectator limit.' } }));
+        ws.close(4003, 'Spectator limit reached');
+        return;
+    }
+    if (previousSocket && previousSocket !== ws) previousSocket.close(4002, 'Replaced by new connection');
+
+    ws.isSpectator = true;
+    game.spectators.set(ws.userId, ws);
+    game.state.spectatorCount = game.spectators.size;
+    ws.send(JSON.stringify({ type: 'AUTH_SUCCESS', payload: { role: 'spectator' } }));
+    broadcastGameState(gameCode, { persist: false });
+}
+
+/**
+ * Spectators can only watch: the spectator chat is the one thing they may send to.
+ */
+function handleSpectatorAction(ws, game, action, payload) {
+    switch (action) {
+        case 'ACK_STATE':
+            return;
+        case 'JOIN_SPECTATOR_CHAT':
+            ws.inSpectatorChat = true;
+            ws.send(JSON.stringify({ type: 'SPECTATOR_CHAT_HISTORY', payload: { messages: game.spectatorChat } }));
+            return;
+        case 'LEAVE_SPECTATOR_CHAT':
+            ws.inSpectatorChat = false;
+            return;
+        case 'SEND_SPECTATOR_CHAT_MESSAGE': {
+            if (!ws.inSpectatorChat) break;
+            const verdict = moderator.moderate(ws.userId, payload?.text, Moderation.ChatChannel.Spectator);
+            if (verdict.rejected) return sendChatRejection(ws, verdict);
+            const message = { id: uuidv4(), userId: ws.userId, name: ws.userName, text: verdict.text, timestamp: Date.now() };
+            game.spectatorChat.push(message);
+            if (game.spectatorChat.length > 50) game.spectatorChat.shift();
+            const listeners = [...game.spectators.values()].filter(s => s.inSpectatorChat);
+            sendToSockets(listeners, { type: 'SPECTATOR_CHAT_MESSAGE', payload: message });
             return;
         }
-        
-        if (game.state.gameStatus === 'Playing' && game.state.diceValue === null && !game.state.isRolling) {
-            if (game.state.turnTimeLeft > 0) {
-                game.state.turnTimeLeft--;
-            } else {
-                console.log(`Time up for player in game ${gameCode}`);
-                await handleMissedTurn(game.state, supabase);
+    }
+    ws.send(JSON.stringify({ type: 'ACTION_REJECTED', payload: { action, message: 'Spectators cannot take part in the game.' } }));
+}
+
+// --- Matchmaking ---
+const matchmaking = new MatchmakingQueue();
+const MATCHMAKING_INTERVAL = 2000;
+const MATCH_JOIN_TIMEOUT = 30000; // How long matched players have to join before the game starts without them.
+
+function sendQueueMessage(ws, type, payload) {
+    if (ws.readyState === ws.OPEN) ws.send(JSON.stringify({ type, payload }));
+}
+
+function generateGameCode() {
+    let gameCode;
+    do {
+        gameCode = uuidv4().replace(/-/g, '').slice(0, 6).toUpperCase();
+    } while (games.has(gameCode));
+    return gameCode;
+}
+
+/**
+ * Starts a matchmade game once everyone has joined or the join window has closed.
+ * A game that too few players turned up for (two, or all four for teams) is cancelled and refunded.
+ */
+async function startMatchedGame(gameCode) {
+    const game = games.get(gameCode);
+    if (!game || game.state.gameStatus !== GameStatus.Setup) return;
+    game.queue.cancel('matchStart');
+
+    if (game.state.players.length >= getMinimumPlayers(game.state)) {
+        await startGame(game.state, null, supabase);
+        game.turns.start();
+    } else {
+        cancelGame(game.state, 'Not enough players joined the match.');
+        scheduleIdleCleanup(gameCode);
+    }
+    broadcastGameState(gameCode);
+}
+
+function scheduleMatchStart(gameCode) {
+    games.get(gameCode).queue.schedule('matchStart', MATCH_JOIN_TIMEOUT, () => startMatchedGame(gameCode));
+}
+
+/**
+ * Opens a room for a group of matched players and tells each of them its code.
+ */
+function createMatchedGame(match) {
+    const gameCode = generateGameCode();
+    const [host] = match.tickets;
+    const gameState = createNewGame(gameCode, {
+        hostId: host.userId, hostName: host.name, type: 'matchmaking', max_players: match.playerCount,
+        entry_fee: match.entryFee, mode: match.mode, teams: match.teams,
+        reservedFor: match.tickets.map(t => t.userId)
+    });
+    const game = registerGame(gameCode, gameState);
+    persistGame(gameCode, game);
+    scheduleMatchStart(gameCode);
+
+    const players = match.tickets.map(t => ({ userId: t.userId, name: t.name, rating: t.rating }));
+    for (const ticket of match.tickets) {
+        sendQueueMessage(ticket.socket, 'MATCH_FOUND', {
+            gameCode, playerCount: match.playerCount, entryFee: match.entryFee, variant: match.variant,
+            players, joinWithinSeconds: MATCH_JOIN_TIMEOUT / 1000
+        });
+    }
+    console.log(`Matched ${players.length} players into game ${gameCode}`);
+}
+
+function runMatchmaking() {
+    const now = Date.now();
+    for (const match of matchmaking.findMatches(now)) {
+        try {
+            createMatchedGame(match);
+        } catch (e) {
+            console.error('Error creating matched game:', e);
+            match.tickets.forEach(t => sendQueueMessage(t.socket, 'ERROR', { message: 'Could not create the match, please queue again.' }));
+        }
+    }
+    for (const ticket of matchmaking.tickets.values()) {
+        const ratingRange = getRatingRange(ticket, now);
+        sendQueueMessage(ticket.socket, 'QUEUE_STATUS', {
+            waitedSeconds: Math.floor((now - ticket.joinedAt) / 1000),
+            ratingRange: Number.isFinite(ratingRange) ? ratingRange : null
+        });
+    }
+}
+
+setInterval(runMatchmaking, MATCHMAKING_INTERVAL);
+
+async function handleMatchmakingMessage(ws, type, payload) {
+    if (type === 'AUTH') {
+        const { data: { user } } = await supabase.auth.getUser(payload.token);
+        if (!user) return ws.close(4001, 'Auth Failed');
+        ws.userId = user.id;
+        ws.userName = user.user_metadata.full_name || 'Player';
+        return sendQueueMessage(ws, 'AUTH_SUCCESS', {});
+    }
+    if (!ws.userId) return sendQueueMessage(ws, 'ERROR', { message: 'Not authenticated.' });
+
+    if (type === 'JOIN_QUEUE') {
+        let request;
+        try {
+            request = parseQueueRequest(payload);
+        } catch (e) {
+            return sendQueueMessage(ws, 'ERROR', { message: e.message });
+        }
+        if (request.entryFee > 0) {
+            const { data: profile } = await supabase.from('profiles').select('deposit_balance').eq('id', ws.userId).single();
+            if (!profile || Number(profile.deposit_balance || 0) < request.entryFee) {
+                return sendQueueMessage(ws, 'ERROR', { message: 'Insufficient balance to pay the entry fee.' });
+            }
+        }
+        let rating = Ratings.DEFAULT_RATING;
+        try {
+            rating = await Ratings.getRating(ws.userId, supabase);
+        } catch (e) {
+            console.error(`Could not load the rating of ${ws.userId}:`, e.message);
+        }
+        const { ticket, replaced } = matchmaking.join({ userId: ws.userId, name: ws.userName, rating, socket: ws, ...request });
+        if (replaced && replaced.socket !== ws) sendQueueMessage(replaced.socket, 'QUEUE_CANCELLED', { reason: 'Queued from another connection.' });
+        return sendQueueMessage(ws, 'QUEUED', { ...request, rating: ticket.rating, ratingRange: getRatingRange(ticket, ticket.joinedAt) });
+    }
+
+    if (type === 'CANCEL_QUEUE') {
+        if (matchmaking.get(ws.userId)?.socket === ws) matchmaking.cancel(ws.userId);
+        return sendQueueMessage(ws, 'QUEUE_CANCELLED', { reason: 'Cancelled.' });
+    }
+}
+
+/**
+ * Applies a player's action to the game. Always runs inside the game's action queue.
+ */
+async function handleGameAction(ws, gameCode, game, action, payload) {
+    const hostBefore = game.state.hostId;
+    const isHost = ws.userId === game.state.hostId;
+    // Tournament and matchmade rooms belong to the server, whoever happened to join first.
+    const canManageRoom = isHost && game.state.type === 'manual';
+    switch (action) {
+        case 'START_GAME':
+            if (game.state.lobby) {
+                game.state.message = 'Tournament games start automatically once everyone is ready.';
+                break;
+            }
+            await startGame(game.state, ws.userId, supabase);
+            game.turns.start();
+            break;
+        case 'ROLL_DICE':
+            game.turns.roll(ws.userId);
+            return;
+        case 'MOVE_PIECE': await movePiece(game.state, ws.userId, payload.pieceId, supabase); break;
+        case 'LEAVE_GAME': {
+            // Before the game starts a player can simply give up their seat; the host role moves on with them.
+            if (game.state.gameStatus === GameStatus.Setup) {
+                if (removePlayer(game.state, ws.userId)) await refundSeat(gameCode, game, ws.userId);
+                break;
+            }
+            const turnBefore = game.state.currentPlayerIndex;
+            await leaveGame(game.state, ws.userId, supabase);
+            // A roll or turn change still pending for the old turn must not fire on the new one.
+            if (game.state.currentPlayerIndex !== turnBefore || game.state.gameStatus !== GameStatus.Playing) game.queue.cancel('turn');
+            break;
+        }
+        case 'SET_CLIENT_SEED': setClientSeed(game.state, ws.userId, payload.seed); break;
+        case 'SET_READY': Lobby.setPlayerReady(game.state, ws.userId, payload?.ready !== false); break;
+        case 'ADD_BOT':
+            if (canManageRoom) {
+                const difficulty = Object.values(BotDifficulty).includes(payload?.difficulty) ? payload.difficulty : BotDifficulty.Medium;
+                addBot(game.state, difficulty);
+            }
+            break;
+        case 'REMOVE_BOT':
+            if (canManageRoom && game.state.players.some(p => p.playerId === payload?.playerId && p.isBot)) {
+                removePlayer(game.state, payload.playerId);
+            }
+            break;
+        case 'SEND_CHAT_MESSAGE': {
+            const verdict = moderator.moderate(ws.userId, payload?.text, Moderation.ChatChannel.Game);
+            if (verdict.rejected) return sendChatRejection(ws, verdict);
+            await sendChatMessage(game.state, ws.userId, verdict.text, supabase);
+            break;
+        }
+        case 'KICK_PLAYER':
+        case 'BAN_PLAYER': {
+            if (!canManageRoom || game.state.gameStatus !== GameStatus.Setup) break;
+            const banned = action === 'BAN_PLAYER';
+            const kicked = kickPlayer(game.state, payload?.playerId, { ban: banned });
+            if (!kicked) break;
+            await refundSeat(gameCode, game, kicked.playerId);
+            broadcastGameEvent(gameCode, 'PLAYER_KICKED', { playerId: kicked.playerId, name: kicked.name, banned });
+            const kickedSocket = game.clients.get(kicked.playerId);
+            if (kickedSocket) {
+                game.clients.delete(kicked.playerId);
+                kickedSocket.send(JSON.stringify({ type: 'KICKED', payload: { banned } }));
+                kickedSocket.close(4004, banned ? 'Banned from room' : 'Kicked from room');
             }
-            broadcastGameState(gameCode); 
+            break;
         }
-    }, 1000);
+        case 'TRANSFER_HOST':
+            if (canManageRoom) transferHost(game.state, payload?.playerId);
+            break;
+        case 'CLOSE_ROOM':
+            if (!canManageRoom || game.state.gameStatus !== GameStatus.Setup) break;
+            // Cancelling refunds every entry fee when the final state is settled.
+            cancelGame(game.state, 'The host closed the room.');
+            game.queue.cancelAll();
+            broadcastGameState(gameCode);
+            for (const socket of [...game.clients.values(), ...game.spectators.values()]) socket.close(4005, 'Room closed');
+            scheduleIdleCleanup(gameCode);
+            return;
+        case 'CREATE_INVITE':
+            if (canManageRoom && game.state.gameStatus === GameStatus.Setup) {
+                const invite = Rooms.createInvite(game.state, payload?.ttlSeconds);
+                ws.send(JSON.stringify({ type: 'INVITE_CREATED', payload: { gameCode, ...invite } }));
+            }
+            break;
+    }
+
+    if (game.state.hostId !== hostBefore) {
+        const host = game.state.players.find(p => p.playerId === game.state.hostId);
+        if (host) broadcastGameEvent(gameCode, 'HOST_CHANGED', { hostId: host.playerId, name: host.name });
+    }
+    await updateLobby(gameCode, game);
+    broadcastGameState(gameCode);
 }
 
-function broadcastGameState(gameCode) {
+/**
+ * Moves a tournament room's lobby on: starts or cancels the game when it is time, otherwise schedules the next
+ * check. Runs inside the game's action queue.
+ */
+async function updateLobby(gameCode, game) {
+    const { outcome, nextCheckAt } = Lobby.advanceLobby(game.state);
+    if (outcome === Lobby.LobbyOutcome.Start) {
+        game.queue.cancel('lobby');
+        await startGame(game.state, null, supabase);
+        game.turns.start();
+    } else if (outcome === Lobby.LobbyOutcome.Cancel) {
+        game.queue.cancel('lobby');
+        // Cancelling refunds every entry fee when the final state is settled.
+        cancelGame(game.state, 'Not enough players showed up for the tournament.');
+    }
+    // Idle cleanup leaves lobbies alone, so it has to start once the lobby is over.
+    if (outcome !== null && game.clients.size === 0 && game.spectators.size === 0) {
+        scheduleIdleCleanup(gameCode);
+    } else if (nextCheckAt !== null) {
+        game.queue.schedule('lobby', Math.max(0, nextCheckAt - Date.now()), async () => {
+            await updateLobby(gameCode, game);
+            broadcastGameState(gameCode);
+        });
+    }
+}
+
+const JOIN_REJECTION_MESSAGES = {
+    [Rooms.JoinRejection.Banned]: 'You have been banned from this room.',
+    [Rooms.JoinRejection.PasswordRequired]: 'This room needs a password.',
+    [Rooms.JoinRejection.WrongPassword]: 'Wrong room password.',
+    [Rooms.JoinRejection.InviteExpired]: 'This invite link has expired.',
+    [Rooms.JoinRejection.NotRegistered]: 'You are not registered for this tournament. You can still join as a spectator.',
+};
+
+/**
+ * Refunds the entry fee of a player who gave up or lost their seat before the game started.
+ */
+async function refundSeat(gameCode, game, playerId) {
+    try {
+        await refundEntryFee(game.state, playerId, supabase);
+    } catch (e) {
+        console.error(`Entry fee refund for ${playerId} in ${gameCode} failed:`, e.message);
+    }
+}
+
+// --- Rate Limiting ---
+const rateLimiter = new RateLimiter();
+const RATE_LIMIT_REFRESH_INTERVAL = 60000;
+
+async function refreshRateLimits() {
+    try {
+        rateLimiter.configure(await loadRateLimitSettings(supabase));
+    } catch (e) {
+        console.error('Could not refresh rate limits:', e.message);
+    }
+    rateLimiter.prune();
+}
+
+refreshRateLimits();
+setInterval(refreshRateLimits, RATE_LIMIT_REFRESH_INTERVAL);
+
+/**
+ * The client's address when running behind a proxy: the last hop of `X-Forwarded-For`, which our proxy
+ * appends. Earlier hops come from the client and can be anything.
+ */
+function getClientIp(req) {
+    const forwarded = req.headers['x-forwarded-for'];
+    return (forwarded ? forwarded.split(',').pop().trim() : null) || req.socket.remoteAddress;
+}
+
+/**
+ * Acts on a rate limit verdict. Returns false when the message must be dropped: the client has then been sent
+ * `RATE_LIMITED`, and an abusive socket has been disconnected.
+ */
+function enforceRateLimit(ws, channel, type, verdict) {
+    if (!verdict) return true;
+    ws.send(JSON.stringify({ type: 'RATE_LIMITED', payload: { messageType: type, reason: verdict.reason, retryAfterSeconds: Math.ceil(verdict.retryAfterMs / 1000) } }));
+    if (verdict.disconnect) {
+        console.warn(`Disconnecting ${ws.userId || ws.ip} from ${channel} for flooding.`);
+        ws.close(4008, 'Rate limit exceeded');
+    }
+    return false;
+}
+
+/**
+ * Counts a message against the sender's rate limits. Returns false when it must be dropped.
+ */
+function allowMessage(ws, channel, type, message) {
+    if (ws.readyState !== ws.OPEN) return false; // Still draining after being disconnected.
+    return enforceRateLimit(ws, channel, type, rateLimiter.check(channel, type, { userId: ws.userId, ip: ws.ip, size: message.length }));
+}
+
+/**
+ * Reads a raw frame as a message object, counting it against the rate limits before it is parsed. Returns null
+ * when it must be dropped; a frame that is not a JSON object strikes the sender instead of reaching a handler.
+ */
+function readMessage(ws, channel, message) {
+    if (!allowMessage(ws, channel, FRAME, message)) return null;
+    try {
+        const parsed = JSON.parse(message);
+        if (parsed && typeof parsed === 'object') return parsed;
+    } catch (e) {
+        // Fall through, the frame is not a message.
+    }
+    enforceRateLimit(ws, channel, FRAME, rateLimiter.reportMalformed(channel, { userId: ws.userId, ip: ws.ip }));
+    return null;
+}
+
+// --- Group Chat ---
+const GROUP_CHAT_PAGE_SIZE = 50;
+const TYPING_THROTTLE_MS = 3000; // At most one typing indicator per user in this window.
+const MAX_PRESENCE_USERS = 100; // Online users listed to a new client, the count is always exact.
+const groupChatPresence = new Map(); // userId -> { username, sockets: Set<WebSocket>, lastTypingAt }
+
+/**
+ * Cursors point at the oldest message a client has, as `[created_at, id]` so messages with the same timestamp
+ * are neither skipped nor repeated.
+ */
+function encodeChatCursor(message) {
+    return Buffer.from(JSON.stringify([message.created_at, message.id])).toString('base64url');
+}
+
+function decodeChatCursor(cursor) {
+    try {
+        const [createdAt, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+        // Both values end up in a PostgREST filter, so only accept what a timestamp and an id can look like.
+        if (/^[\d\-:.T +Z]+$/.test(createdAt) && /^[\w-]+$/.test(String(id))) return { createdAt, id };
+    } catch (e) {
+        // Fall through, the cursor is invalid.
+    }
+    return null;
+}
+
+/**
+ * A page of group chat messages older than `cursor` (the newest page without one), oldest first.
+ */
+async function loadGroupChatPage(cursor) {
+    let query = supabase.from('group_chat_messages').select('*')
+        .order('created_at', { ascending: false }).order('id', { ascending: false })
+        .limit(GROUP_CHAT_PAGE_SIZE + 1);
+    if (cursor) query = query.or(`created_at.lt."${cursor.createdAt}",and(created_at.eq."${cursor.createdAt}",id.lt.${cursor.id})`);
+    const { data, error } = await query;
+    if (error) throw new Error(`Failed to load group chat history: ${error.message}`);
+    const rows = data || [];
+    const messages = rows.slice(0, GROUP_CHAT_PAGE_SIZE).reverse();
+    return { messages, nextCursor: rows.length > GROUP_CHAT_PAGE_SIZE ? encodeChatCursor(messages[0]) : null };
+}
+
+function sendPresence(event, userId, username) {
+    sendToSockets(groupChatClients, { type: 'PRESENCE', payload: { event, userId, username, onlineCount: groupChatPresence.size } });
+}
+
+/**
+ * Counts a user as online from their first group chat socket and tells the new socket who else is.
+ */
+function joinGroupChatPresence(ws) {
+    let presence = groupChatPresence.get(ws.userId);
+    const isNew = !presence;
+    if (isNew) {
+        presence = { username: ws.username, sockets: new Set(), lastTypingAt: 0 };
+        groupChatPresence.set(ws.userId, presence);
+    }
+    presence.sockets.add(ws);
+    const users = [...groupChatPresence].slice(0, MAX_PRESENCE_USERS).map(([userId, p]) => ({ userId, username: p.username }));
+    ws.send(JSON.stringify({ type: 'PRESENCE_STATE', payload: { onlineCount: groupChatPresence.size, users } }));
+    if (isNew) sendPresence('JOIN', ws.userId, ws.username);
+}
+
+function leaveGroupChatPresence(ws) {
+    const presence = groupChatPresence.get(ws.userId);
+    if (!presence || !presence.sockets.delete(ws) || presence.sockets.size > 0) return;
+    groupChatPresence.delete(ws.userId);
+    sendPresence('LEAVE', ws.userId, presence.username);
+}
+
+/**
+ * Relays that a user is typing to everyone else, at most once per `TYPING_THROTTLE_MS`. Clients clear the
+ * indicator themselves when no new one arrives.
+ */
+function sendTypingIndicator(ws) {
+    const presence = groupChatPresence.get(ws.userId);
+    const now = Date.now();
+    if (!presence || now - presence.lastTypingAt < TYPING_THROTTLE_MS || moderator.checkSanction(ws.userId)) return;
+    presence.lastTypingAt = now;
+    const others = [...groupChatClients].filter(client => client.userId !== ws.userId);
+    sendToSockets(others, { type: 'TYPING', payload: { userId: ws.userId, username: ws.username, expiresInMs: TYPING_THROTTLE_MS + 1000 } });
+}
+
+// --- Chat Moderation ---
+const moderator = new Moderation.ChatModerator();
+const MODERATION_REFRESH_INTERVAL = 60000;
+
+async function refreshModeration() {
+    try {
+        moderator.configure(await Moderation.loadModerationSettings(supabase));
+        moderator.setSanctions(await Moderation.loadActiveSanctions(supabase));
+    } catch (e) {
+        console.error('Could not refresh chat moderation:', e.message);
+    }
+}
+
+refreshModeration();
+setInterval(refreshModeration, MODERATION_REFRESH_INTERVAL);
+
+function sendChatRejection(ws, verdict) {
+    ws.send(JSON.stringify({ type: 'CHAT_REJECTED', payload: { reason: verdict.rejected, message: verdict.message, until: verdict.until } }));
+}
+
+/**
+ * Finds a chat message by channel for a report or a deletion: `{ userId, text }`, or null.
+ */
+async function findChatMessage(channel, messageId, gameCode) {
     const game = games.get(gameCode);
-    if (!game) return;
-    const statePayload = JSON.stringify({ type: 'GAME_STATE_UPDATE', payload: game.state });
-    for (const client of game.clients.values()) {
-        if (client.readyState === client.OPEN) {
-            client.send(statePayload);
+    if (channel === Moderation.ChatChannel.Game) {
+        const message = game?.state.chatMessages.find(m => m.id === messageId);
+        return message ? { userId: message.playerId, text: message.text } : null;
+    }
+    if (channel === Moderation.ChatChannel.Spectator) {
+        const message = game?.spectatorChat.find(m => m.id === messageId);
+        return message ? { userId: message.userId, text: message.text } : null;
+    }
+    if (channel === Moderation.ChatChannel.Group) {
+        const { data } = await supabase.from('group_chat_messages').select('user_id, message_text').eq('id', messageId).maybeSingle();
+        return data ? { userId: data.user_id, text: data.message_text } : null;
+    }
+    return null;
+}
+
+/**
+ * Files a user's report of a message in the chat they are connected to.
+ */
+async function handleChatReport(ws, channel, payload) {
+    const message = payload?.messageId ? await findChatMessage(channel, payload.messageId, ws.gameCode) : null;
+    if (!message) return ws.send(JSON.stringify({ type: 'ERROR', payload: { message: 'Message not found.' } }));
+    try {
+        await Moderation.reportMessage({
+            channel, messageId: payload.messageId, gameCode: ws.gameCode || null, reporterId: ws.userId,
+            reportedUserId: message.userId, messageText: message.text, reason: payload.reason
+        }, supabase);
+        ws.send(JSON.stringify({ type: 'REPORT_RECEIVED', payload: { channel, messageId: payload.messageId } }));
+    } catch (e) {
+        console.error('Chat report error:', e.message);
+        ws.send(JSON.stringify({ type: 'ERROR', payload: { message: 'Could not send the report.' } }));
+    }
+}
+
+/**
+ * Removes a message from a chat and tells everyone who can see that chat. Returns false if it was not found.
+ */
+async function deleteChatMessage(channel, messageId, gameCode) {
+    const game = games.get(gameCode);
+    const deleted = { type: 'MESSAGE_DELETED', payload: { channel, messageId } };
+    if (channel === Moderation.ChatChannel.Group) {
+        const { data, error } = await supabase.from('group_chat_messages').delete().eq('id', messageId).select('id');
+        if (error) throw new Error(error.message);
+        if (!data || data.length === 0) return false;
+        sendToSockets(groupChatClients, deleted);
+        return true;
+    }
+    if (!game) return false;
+    if (channel === Moderation.ChatChannel.Spectator) {
+        const index = game.spectatorChat.findIndex(m => m.id === messageId);
+        if (index === -1) return false;
+        game.spectatorChat.splice(index, 1);
+        sendToSockets([...game.spectators.values()].filter(s => s.inSpectatorChat), deleted);
+        return true;
+    }
+    if (channel !== Moderation.ChatChannel.Game) return false;
+    return game.queue.enqueue(async () => {
+        const index = game.state.chatMessages.findIndex(m => m.id === messageId);
+        if (index === -1) return false;
+        game.state.chatMessages.splice(index, 1);
+        if (game.state.tournamentId) {
+            const { error } = await supabase.from('chat_messages').delete().eq('id', messageId);
+            if (error) console.error(`Error deleting chat message ${messageId}:`, error.message);
         }
+        broadcastGameEvent(gameCode, 'MESSAGE_DELETED', { channel, messageId });
+        broadcastGameState(gameCode);
+        return true;
+    });
+}
+
+const SANCTION_COMMANDS = {
+    MUTE_USER: Moderation.SanctionType.Mute,
+    BAN_USER: Moderation.SanctionType.Ban,
+};
+const LIFT_COMMANDS = {
+    UNMUTE_USER: Moderation.SanctionType.Mute,
+    UNBAN_USER: Moderation.SanctionType.Ban,
+};
+
+/**
+ * Admin moderation commands, accepted on the group and support chat sockets. Returns false for any other message.
+ */
+async function handleModerationCommand(ws, type, payload = {}) {
+    const reply = (result) => ws.send(JSON.stringify({ type: 'MODERATION_RESULT', payload: { command: type, ...result } }));
+    try {
+        if (type === 'DELETE_MESSAGE') {
+            const deleted = await deleteChatMessage(payload.channel, payload.messageId, String(payload.gameCode || '').toUpperCase());
+            reply(deleted ? { ok: true, messageId: payload.messageId } : { ok: false, messageId: payload.messageId, message: 'Message not found.' });
+            return true;
+        }
+        if (SANCTION_COMMANDS[type]) {
+            if (!isValidUuid(payload.userId)) {
+                reply({ ok: false, message: 'Invalid user id.' });
+                return true;
+            }
+            const sanction = await Moderation.sanctionUser({ ...payload, type: SANCTION_COMMANDS[type], adminId: ws.userId }, supabase);
+            moderator.addSanction(sanction);
+            if (sanction.type === Moderation.SanctionType.Ban) {
+                for (const client of groupChatClients) {
+                    if (client.userId !== payload.userId) continue;
+                    sendChatRejection(client, moderator.checkSanction(payload.userId));
+                    client.close(4003, 'Banned from chat');
+                }
+            }
+            reply({ ok: true, userId: payload.userId, sanction: sanction.type, expiresAt: sanction.expires_at });
+            return true;
+        }
+        if (LIFT_COMMANDS[type]) {
+            await Moderation.liftSanctions(payload.userId, LIFT_COMMANDS[type], supabase);
+            moderator.removeSanctions(payload.userId, LIFT_COMMANDS[type]);
+            reply({ ok: true, userId: payload.userId });
+            return true;
+        }
+    } catch (e) {
+        console.error(`Moderation command ${type} failed:`, e.message);
+        reply({ ok: false, message: 'Moderation command failed.' });
+        return true;
+    }
+    return false;
+}
+
+// --- Support Tickets ---
+const MAX_SUPPORT_MESSAGE_LENGTH = 2000;
+
+/**
+ * Sends a ticket's traffic to its owner and to the admins who can see it: the one it is assigned to,
+ * or every admin while it is unassigned. Passing the ticket as it was before a reassignment also reaches
+ * the admins who just lost sight of it.
+ */
+function sendToTicket(ticket, message, previous = null) {
+    const userSocket = supportClients.get(ticket.user_id);
+    const admins = [...adminSupportClients].filter(a => Support.isVisibleToAdmin(ticket, a.userId)
+        || (previous && Support.isVisibleToAdmin(previous, a.userId)));
+    sendToSockets(userSocket ? [userSocket, ...admins] : admins, message);
+}
+
+/**
+ * Loads a ticket the socket may act on: users only their own, admins the unassigned ones and their own.
+ */
+async function loadSupportTicket(ws, ticketId) {
+    const ticket = await Support.getTicket(ticketId, supabase);
+    const isVisible = ticket && (ws.userRole === 'admin' ? Support.isVisibleToAdmin(ticket, ws.userId) : ticket.user_id === ws.userId);
+    if (!isVisible) throw new Support.SupportError('TICKET_NOT_FOUND', 'Ticket not found.');
+    return ticket;
+}
+
+/**
+ * Resolves the ticket a message goes to. Clients that do not send a `ticket_id` write to the user's open
+ * ticket, and a user without one gets a new ticket.
+ */
+async function resolveMessageTicket(ws, payload) {
+    if (payload.ticket_id) return loadSupportTicket(ws, payload.ticket_id);
+    if (ws.userRole === 'admin') {
+        const ticket = isValidUuid(payload.target_user_id) ? await Support.findOpenTicket(payload.target_user_id, supabase) : null;
+        if (!ticket || !Support.isVisibleToAdmin(ticket, ws.userId)) throw new Support.SupportError('TICKET_NOT_FOUND', 'This user has no open ticket.');
+        return ticket;
+    }
+    return await Support.findOpenTicket(ws.userId, supabase)
+        || await Support.createTicket({ userId: ws.userId, category: Support.TicketCategory.Other }, supabase);
+}
+
+/**
+ * Checks and posts a message on a ticket. An admin replying to an unassigned ticket takes it.
+ */
+async function postSupportMessage(ws, ticket, text) {
+    const isAdmin = ws.userRole === 'admin';
+    const previous = ticket;
+    if (isAdmin) {
+        text = typeof text === 'string' ? text.trim() : '';
+        if (!text || text.length > MAX_SUPPORT_MESSAGE_LENGTH) throw new Support.SupportError('INVALID_MESSAGE', 'Invalid message.');
+        if (!ticket.assigned_admin_id) ticket = await Support.updateTicket(ticket.id, { assigned_admin_id: ws.userId }, supabase);
+    } else {
+        const verdict = moderator.moderate(ws.userId, text, Moderation.ChatChannel.Support);
+        if (verdict.rejected) return sendChatRejection(ws, verdict);
+        text = verdict.text;
+    }
+    const { message, ticket: updated } = await Support.addMessage(ticket, { username: ws.username, text, fromAdmin: isAdmin }, supabase);
+    sendToTicket(updated, { type: 'NEW_MESSAGE', payload: message });
+    sendToTicket(updated, { type: 'TICKET_UPDATED', payload: { ticket: updated } }, previous);
+}
+
+function getTicketFilters(ws, payload) {
+    const filters = { status: payload.status, category: payload.category, priority: payload.priority, limit: payload.limit, offset: payload.offset };
+    if (ws.userRole !== 'admin') return { ...filters, userId: ws.userId };
+    if (isValidUuid(payload.user_id)) filters.userId = payload.user_id;
+    // By default an admin lists what they can act on: their own tickets and unassigned ones.
+    if (payload.assigned === 'me') filters.assignedTo = ws.userId;
+    else if (payload.assigned === 'unassigned' || isValidUuid(payload.assigned)) filters.assignedTo = payload.assigned;
+    else if (payload.assigned !== 'all') filters.visibleTo = ws.userId;
+    return filters;
+}
+
+async function handleSupportMessage(ws, type, payload) {
+    const isAdmin = ws.userRole === 'admin';
+    const reply = (replyType, replyPayload) => ws.send(JSON.stringify({ type: replyType, payload: replyPayload }));
+    try {
+        switch (type) {
+            case 'CREATE_TICKET': {
+                if (isAdmin) break;
+                const ticket = await Support.createTicket({
+                    userId: ws.userId, category: payload.category, subject: payload.subject,
+                    transactionId: payload.transaction_id, gameCode: payload.game_code
+                }, supabase);
+                reply('TICKET_CREATED', { ticket });
+                if (payload.message_text) await postSupportMessage(ws, ticket, payload.message_text);
+                else sendToTicket(ticket, { type: 'TICKET_UPDATED', payload: { ticket } });
+                break;
+            }
+            case 'LIST_TICKETS': {
+                const tickets = await Support.listTickets(getTicketFilters(ws, payload), supabase);
+                reply('TICKETS', { tickets: await Support.attachUnreadCounts(tickets, isAdmin, supabase) });
+                break;
+            }
+            case 'GET_TICKET': {
+                const ticket = await loadSupportTicket(ws, payload.ticket_id);
+                reply('TICKET_MESSAGES', { ticket, messages: await Support.getMessages(ticket.id, supabase) });
+                break;
+            }
+            case 'SEND_MESSAGE':
+                await postSupportMessage(ws, await resolveMessageTicket(ws, payload), payload.message_text);
+                break;
+            case 'MARK_READ': {
+                const ticket = await Support.markRead((await loadSupportTicket(ws, payload.ticket_id)).id, isAdmin, supabase);
+                const readAt = isAdmin ? ticket.admin_last_read_at : ticket.user_last_read_at;
+                sendToTicket(ticket, { type: 'READ_RECEIPT', payload: { ticket_id: ticket.id, reader: isAdmin ? 'admin' : 'user', readAt } });
+                break;
+            }
+            case 'ASSIGN_TICKET': {
+                if (!isAdmin) break;
+                const ticket = await loadSupportTicket(ws, payload.ticket_id);
+                const adminId = payload.admin_id === undefined ? ws.userId : payload.admin_id;
+                if (adminId && adminId !== ws.userId) {
+                    const { data: profile } = await supabase.from('profiles').select('role').eq('id', adminId).maybeSingle();
+                    if (profile?.role !== 'admin') throw new Support.SupportError('INVALID_ADMIN', 'Tickets can only be assigned to admins.');
+                }
+                const updated = await Support.updateTicket(ticket.id, { assigned_admin_id: adminId }, supabase);
+                sendToTicket(updated, { type: 'TICKET_UPDATED', payload: { ticket: updated } }, ticket);
+                break;
+            }
+            case 'UPDATE_TICKET': {
+                if (!isAdmin) break;
+                const ticket = await loadSupportTicket(ws, payload.ticket_id);
+                const { status, priority, category } = payload;
+                const updated = await Support.updateTicket(ticket.id, { status, priority, category }, supabase);
+                sendToTicket(updated, { type: 'TICKET_UPDATED', payload: { ticket: updated } });
+                break;
+            }
+        }
+    } catch (e) {
+        if (!(e instanceof Support.SupportError)) {
+            console.error(`Support command ${type} failed:`, e.message);
+            return reply('ERROR', { message: 'Something went wrong, please try again.' });
+        }
+        reply('ERROR', { code: e.code, message: e.message });
     }
 }
 
 // --- Unified WebSocket Server ---
 wss.on('connection', (ws, req) => {
     const url = req.url;
+    ws.ip = getClientIp(req);
+    // Oversized frames and protocol errors surface here; the socket is closed for us.
+    ws.on('error', (e) => console.error(`WebSocket error from ${ws.ip}:`, e.message));
 
     if (url === '/group-chat') {
         ws.isGroupChat = true;
         ws.on('message', async (message) => {
             try {
-                const { type, payload } = JSON.parse(message);
+                const parsed = readMessage(ws, 'group-chat', message);
+                if (!parsed || !allowMessage(ws, 'group-chat', parsed.type, message)) return;
+                const { type, payload } = parsed;
                 if (type === 'AUTH') {
+                    if (ws.userId) return;
                     const { data: { user } } = await supabase.auth.getUser(payload.token);
                     if (!user) return ws.close();
-                    const { data: profile } = await supabase.from('profiles').select('username').eq('id', user.id).single();
+                    const sanctioned = moderator.checkSanction(user.id);
+                    if (sanctioned?.rejected === Moderation.ModerationReason.Banned) {
+                        sendChatRejection(ws, sanctioned);
+                        return ws.close(4003, 'Banned from chat');
+                    }
+                    const { data: profile } = await supabase.from('profiles').select('role, username').eq('id', user.id).single();
+                    // A socket that closed meanwhile has already left, it must not be counted as online again.
+                    if (ws.readyState !== ws.OPEN) return;
                     ws.userId = user.id;
+                    ws.userRole = profile?.role || 'user';
                     ws.username = profile?.username || 'User';
                     groupChatClients.add(ws);
                     ws.send(JSON.stringify({ type: 'AUTH_SUCCESS' }));
+                    // The user is online whether or not their history loads.
+                    joinGroupChatPresence(ws);
+                    try {
+                        ws.send(JSON.stringify({ type: 'CHAT_HISTORY', payload: await loadGroupChatPage(null) }));
+                    } catch (e) {
+                        console.error('Group chat history error:', e.message);
+                        ws.send(JSON.stringify({ type: 'ERROR', payload: { message: 'Could not load the chat history.' } }));
+                    }
+                    return;
                 }
-                if (type === 'SEND_MESSAGE' && ws.userId) {
+                if (!ws.userId) return;
+                if (type === 'LOAD_MORE') {
+                    const cursor = decodeChatCursor(payload?.cursor);
+                    if (!cursor) return ws.send(JSON.stringify({ type: 'ERROR', payload: { message: 'Invalid cursor.' } }));
+                    return ws.send(JSON.stringify({ type: 'MORE_MESSAGES', payload: await loadGroupChatPage(cursor) }));
+                }
+                if (type === 'TYPING') return sendTypingIndicator(ws);
+                if (ws.userRole === 'admin' && await handleModerationCommand(ws, type, payload)) return;
+                if (type === 'REPORT_MESSAGE') await handleChatReport(ws, Moderation.ChatChannel.Group, payload);
+                if (type === 'SEND_MESSAGE') {
+                    const verdict = moderator.moderate(ws.userId, payload?.message_text, Moderation.ChatChannel.Group);
+                    if (verdict.rejected) return sendChatRejection(ws, verdict);
                     const { data: savedMsg, error: insertError } = await supabase.from('group_chat_messages').insert({
                         user_id: ws.userId,
                         username: ws.username,
-                        message_text: payload.message_text
+                        message_text: verdict.text
                     }).select().single();
 
                     if (insertError) {
@@ -377,14 +1642,19 @@ wss.on('connection', (ws, req) => {
                 console.error('Error in group-chat message handler:', e);
             }
         });
-        ws.on('close', () => groupChatClients.delete(ws));
+        ws.on('close', () => {
+            groupChatClients.delete(ws);
+            leaveGroupChatPresence(ws);
+        });
         return;
     }
 
     if (url === '/support') {
         ws.on('message', async (message) => {
             try {
-                const { type, payload } = JSON.parse(message);
+                const parsed = readMessage(ws, 'support', message);
+                if (!parsed || !allowMessage(ws, 'support', parsed.type, message)) return;
+                const { type, payload } = parsed;
                 if (type === 'AUTH') {
                     const { data: { user } } = await supabase.auth.getUser(payload.token);
                     if (!user) return ws.close();
@@ -395,32 +1665,11 @@ wss.on('connection', (ws, req) => {
                     if (ws.userRole === 'admin') adminSupportClients.add(ws);
                     else supportClients.set(ws.userId, ws);
                     ws.send(JSON.stringify({ type: 'AUTH_SUCCESS' }));
+                    return;
                 }
-                if (type === 'SEND_MESSAGE' && ws.userId) {
-                    const { message_text, target_user_id } = payload;
-                    const isSenderAdmin = ws.userRole === 'admin';
-                    const conversationOwnerId = isSenderAdmin ? target_user_id : ws.userId;
-                    const { data: savedMsg, error: insertError } = await supabase.from('support_chats').insert({
-                        user_id: conversationOwnerId,
-                        username: isSenderAdmin ? 'Admin' : ws.username,
-                        message_text,
-                        sent_by_admin: isSenderAdmin
-                    }).select().single();
-
-                    if (insertError) {
-                        console.error('Support Chat DB Insert Error:', insertError);
-                        throw new Error(`Supabase insert error: ${insertError.message}`);
-                    }
-
-                    if (savedMsg) {
-                        const msgString = JSON.stringify({ type: 'NEW_MESSAGE', payload: savedMsg });
-                        const userSocket = supportClients.get(conversationOwnerId);
-                        if (userSocket && userSocket.readyState === 1) userSocket.send(msgString);
-                        for (const adminWs of adminSupportClients) {
-                            if (adminWs.readyState === 1) adminWs.send(msgString);
-                        }
-                    }
-                }
+                if (!ws.userId) return;
+                if (ws.userRole === 'admin' && await handleModerationCommand(ws, type, payload)) return;
+                await handleSupportMessage(ws, type, payload || {});
             } catch (e) {
                 console.error('Error in support message handler:', e);
             }
@@ -430,12 +1679,31 @@ wss.on('connection', (ws, req) => {
     }
 
 
+    if (url === '/matchmaking') {
+        ws.on('message', async (message) => {
+            try {
+                const parsed = readMessage(ws, 'matchmaking', message);
+                if (!parsed || !allowMessage(ws, 'matchmaking', parsed.type, message)) return;
+                const { type, payload } = parsed;
+                await handleMatchmakingMessage(ws, type, payload || {});
+            } catch (e) {
+                console.error('Error in matchmaking message handler:', e);
+            }
+        });
+        ws.on('close', () => {
+            if (ws.userId && matchmaking.get(ws.userId)?.socket === ws) matchmaking.cancel(ws.userId);
+        });
+        return;
+    }
+
     // --- GAME HANDLING ---
     const gameCode = url.slice(1).toUpperCase();
     
     ws.on('message', async (message) => {
         try {
-            const { action, payload } = JSON.parse(message);
+            const parsed = readMessage(ws, 'game', message);
+            if (!parsed || !allowMessage(ws, 'game', parsed.action, message)) return;
+            const { action, payload } = parsed;
 
             if (action === 'AUTH') {
                 if (ws.userId) return;
@@ -471,12 +1739,35 @@ wss.on('connection', (ws, req) => {
                             return;
                         }
 
-                        if (tournament) { type = 'tournament'; max_players = tournament.max_players; tournamentId = tournament.id; }
+                        let entry_fee = 0;
+                        // Manual rooms take their size, house rules and mode from whoever creates them.
+                        let { rules, mode, duration, teams, botTakeover, timeLimits } = payload;
+                        if ([2, 3, 4].includes(Number(payload.maxPlayers))) max_players = Number(payload.maxPlayers);
+                        let maxSpectators, prizeDistribution, reservedFor = null;
+                        if (tournament) {
+                            reservedFor = await loadTournamentSeats(tournament.id, tournament.max_players);
+                            type = 'tournament'; max_players = tournament.max_players; tournamentId = tournament.id; entry_fee = tournament.entry_fee;
+                            rules = tournament.rules; mode = tournament.mode; duration = tournament.game_duration; teams = tournament.team_mode;
+                            botTakeover = tournament.bot_takeover; timeLimits = tournament.turn_time_limits;
+                            maxSpectators = tournament.max_spectators; prizeDistribution = tournament.prize_distribution;
+                        }
 
-                        const options = { hostId: ws.userId, hostName: ws.userName, type, max_players, tournamentId };
-                        const gameState = createNewGame(gameCode, options);
-                        game = { state: gameState, clients: new Map(), turnTimer: null };
-                        games.set(gameCode, game);
+                        const options = {
+                            hostId: ws.userId, hostName: ws.userName, type, max_players, tournamentId, entry_fee,
+                            rules, mode, duration, teams, botTakeover, timeLimits, max_spectators: maxSpectators,
+                            prize_distribution: prizeDistribution, reservedFor
+                        };
+                        // Another connection may have opened the room while the tournament was loading.
+                        game = games.get(gameCode);
+                        if (!game) {
+                            const gameState = createNewGame(gameCode, options);
+                            if (tournament) gameState.lobby = Lobby.createLobby(tournament);
+                            if (!tournament && payload.password !== undefined && !Rooms.setRoomPassword(gameState, payload.password)) {
+                                ws.send(JSON.stringify({ type: 'ERROR', payload: { message: 'Room passwords must be 1 to 64 characters.' } }));
+                                return;
+                            }
+                            game = registerGame(gameCode, gameState);
+                        }
                     } catch (err) {
                         console.error("Critical error creating game:", err);
                         ws.send(JSON.stringify({ type: 'ERROR', payload: { message: 'Failed to create game session.' } }));
@@ -484,15 +1775,55 @@ wss.on('connection', (ws, req) => {
                     }
                 }
 
-                game.clients.set(ws.userId, ws);
+                await game.queue.enqueue(async () => {
+                    await refreshTournamentSeats(game, ws.userId);
+                    const rejection = Rooms.getJoinRejection(game.state, ws.userId, { password: payload.password, invite: payload.invite, spectate: payload.spectate });
+                    if (rejection) {
+                        ws.send(JSON.stringify({ type: 'JOIN_REJECTED', payload: { reason: rejection, message: JOIN_REJECTION_MESSAGES[rejection] } }));
+                        ws.close(4003, 'Join rejected');
+                        return;
+                    }
 
-                if (!game.state.players.some(p => p.playerId === ws.userId)) {
-                    addPlayer(game.state, ws.userId, ws.userName);
-                }
+                    const isResuming = game.state.players.some(p => p.playerId === ws.userId);
+                    const isReserved = game.state.reservedFor && !game.state.reservedFor.includes(ws.userId);
+                    const hasOpenSeat = game.state.gameStatus === GameStatus.Setup && game.state.players.length < game.state.max_players && !isReserved;
+                    if (!isResuming && (payload.spectate || !hasOpenSeat)) {
+                        joinAsSpectator(ws, gameCode, game);
+                        return;
+                    }
+
+                    const previousSocket = game.clients.get(ws.userId);
+                    if (previousSocket && previousSocket !== ws) previousSocket.close(4002, 'Replaced by new connection');
+                    game.clients.set(ws.userId, ws);
+                    if (!isResuming) {
+                        const seated = addPlayer(game.state, ws.userId, ws.userName);
+                        if (seated && game.state.entryFee > 0) {
+                            try {
+                                await chargeEntryFee(game.state, ws.userId, supabase);
+                            } catch (e) {
+                                console.error(`Entry fee for ${ws.userId} in ${gameCode} failed:`, e.message);
+                                removePlayer(game.state, ws.userId);
+                                game.clients.delete(ws.userId);
+                                const message = e.code === 'INSUFFICIENT_FUNDS' ? 'Insufficient balance to pay the entry fee.' : 'Could not collect the entry fee.';
+                                ws.send(JSON.stringify({ type: 'ERROR', payload: { message } }));
+                                broadcastGameState(gameCode);
+                                return;
+                            }
+                        }
+                    }
 
-                ws.send(JSON.stringify({ type: 'AUTH_SUCCESS' }));
-                ws.send(JSON.stringify({ type: 'GAME_STATE_UPDATE', payload: game.state }));
-                broadcastGameState(gameCode);
+                    ws.send(JSON.stringify({ type: 'AUTH_SUCCESS', payload: { role: 'player' } }));
+                    if (isResuming) {
+                        const lastVersion = Number.isInteger(payload.lastStateVersion) ? payload.lastStateVersion : game.acks.get(ws.userId);
+                        sendMissedEvents(ws, game, lastVersion);
+                        const reconnected = setPlayerConnection(game.state, ws.userId, true);
+                        if (reconnected) broadcastGameEvent(gameCode, 'PLAYER_RECONNECTED', { playerId: reconnected.playerId, name: reconnected.name });
+                    }
+                    ws.send(JSON.stringify({ type: 'GAME_STATE_UPDATE', payload: getPublicState(game.state) }));
+                    await updateLobby(gameCode, game);
+                    broadcastGameState(gameCode);
+                    if (game.state.type === 'matchmaking' && game.state.players.length === game.state.max_players) await startMatchedGame(gameCode);
+                });
                 return;
             }
 
@@ -501,40 +1832,23 @@ wss.on('connection', (ws, req) => {
             const game = games.get(gameCode);
             if (!game) return;
 
-            switch (action) {
-                case 'START_GAME': 
-                    await startGame(game.state, ws.userId, supabase); 
-                    startGameLoop(gameCode); 
-                    break;
-                case 'ROLL_DICE': 
-                    initiateRoll(game.state, ws.userId);
-                    broadcastGameState(gameCode);
-                    setTimeout(async () => {
-                        const rollResult = await completeRoll(game.state, ws.userId, supabase);
-                        broadcastGameState(gameCode);
-                        
-                        // Handle delayed turn transitions for better UX
-                        if (rollResult === 'PENALTY') {
-                             // Wait 2s to show "Rolled three 6s" message, then advance
-                             setTimeout(async () => {
-                                await advanceTurn(game.state, supabase);
-                                broadcastGameState(gameCode);
-                             }, 2000);
-                        } else if (rollResult === 'NO_MOVES') {
-                             // No valid moves, wait 1s then advance
-                             setTimeout(async () => {
-                                await advanceTurn(game.state, supabase); 
-                                broadcastGameState(gameCode);
-                             }, 1000);
-                        }
-                    }, 500);
-                    return;
-                case 'MOVE_PIECE': await movePiece(game.state, ws.userId, payload.pieceId, supabase); break;
-                case 'LEAVE_GAME': await leaveGame(game.state, ws.userId, supabase); break;
-                case 'SEND_CHAT_MESSAGE': await sendChatMessage(game.state, ws.userId, payload.text, supabase); break;
+            if (action === 'REPORT_MESSAGE') {
+                const channel = ws.isSpectator ? Moderation.ChatChannel.Spectator : Moderation.ChatChannel.Game;
+                await handleChatReport(ws, channel, payload);
+                return;
             }
 
-            broadcastGameState(gameCode);
+            if (ws.isSpectator) {
+                handleSpectatorAction(ws, game, action, payload);
+                return;
+            }
+
+            if (action === 'ACK_STATE') {
+                if (Number.isInteger(payload?.version)) game.acks.set(ws.userId, payload.version);
+                return;
+            }
+
+            await game.queue.enqueue(() => handleGameAction(ws, gameCode, game, action, payload));
 
         } catch (err) {
             console.error('Error processing message:', err);
@@ -545,18 +1859,35 @@ wss.on('connection', (ws, req) => {
     ws.on('close', () => {
         if (!ws.gameCode) return;
         const game = games.get(ws.gameCode);
-        if (game && ws.userId) {
-            game.clients.delete(ws.userId);
-            if (game.clients.size === 0) {
-                setTimeout(() => {
-                    if (game.clients.size === 0) {
-                        if (game.turnTimer) clearInterval(game.turnTimer);
-                        games.delete(ws.gameCode);
+        if (!game) return;
+        game.queue.enqueue(() => {
+            if (ws.isSpectator) {
+                if (game.spectators.get(ws.userId) !== ws) return;
+                game.spectators.delete(ws.userId);
+                game.state.spectatorCount = game.spectators.size;
+                broadcastGameState(ws.gameCode, { persist: false });
+                if (game.clients.size === 0 && game.spectators.size === 0) scheduleIdleCleanup(ws.gameCode);
+                return;
+            }
+            // A socket that was replaced by a newer connection for the same user no longer represents them.
+            if (ws.userId && game.clients.get(ws.userId) === ws) {
+                game.clients.delete(ws.userId);
+                const player = setPlayerConnection(game.state, ws.userId, false);
+                if (player) {
+                    broadcastGameEvent(ws.gameCode, 'PLAYER_DISCONNECTED', { playerId: player.playerId, name: player.name, graceSeconds: RECONNECT_GRACE_PERIOD });
+                    // A lobby should not wait on a host who is gone: hand the room to someone still connected.
+                    const nextHost = game.state.players.find(p => !p.isBot && p.isConnected);
+                    if (game.state.gameStatus === GameStatus.Setup && player.isHost && nextHost && transferHost(game.state, nextHost.playerId)) {
+                        broadcastGameEvent(ws.gameCode, 'HOST_CHANGED', { hostId: nextHost.playerId, name: nextHost.name });
                     }
-                }, 60000);
+                    broadcastGameState(ws.gameCode);
+                }
+                if (game.clients.size === 0) scheduleIdleCleanup(ws.gameCode);
             }
-        }
+        }).catch(() => {}); // Logged by the queue.
     });
 });
 
-server.listen(PORT, () => console.log(`Dream Ludo server listening on port ${PORT}`));
+restoreGames().finally(() => {
+    server.listen(PORT, () => console.log(`Dream Ludo server listening on port ${PORT}`));
+});
@@ -0,0 +1,167 @@
+// dream-ludo-server/settlement.js
+
+"use strict";
+
+const Wallet = require('./wallet');
+
+const DEFAULT_COMMISSION_PERCENTAGE = 10;
+
+function roundDown(amount) {
+    return Math.floor(amount * 100) / 100;
+}
+
+/**
+ * Key shared by every money movement of one game, tournaments are settled per tournament row. Room codes come
+ * back, so a game is keyed by its `matchId`; only snapshots saved before games had one fall back to the code.
+ */
+function getSettlementKey(gameState) {
+    return gameState.tournamentId || gameState.matchId || gameState.gameId;
+}
+
+async function getCommissionPercentage(supabase) {
+    const { data } = await supabase.from('app_settings').select('value').eq('key', 'tournament_commission').maybeSingle();
+    const percentage = Number(data?.value?.percentage);
+    return Number.isFinite(percentage) && percentage >= 0 && percentage <= 100 ? percentage : DEFAULT_COMMISSION_PERCENTAGE;
+}
+
+/**
+ * Idempotency keys for a player's current entry fee and its refund. A player who was refunded (kicked, or left
+ * during setup) and sits down again pays a new fee, so every refund moves them on to a fresh pair of keys, as
+ * does a failed charge: its FAILED row keeps the old key.
+ */
+function nextFeeRound(gameState, playerId) {
+    gameState.feeRounds = { ...gameState.feeRounds, [playerId]: (gameState.feeRounds?.[playerId] || 0) + 1 };
+}
+
+function getFeeKeys(gameState, playerId) {
+    const round = gameState.feeRounds?.[playerId] || 0;
+    const suffix = round > 0 ? `:${round}` : '';
+    const key = getSettlementKey(gameState);
+    return { charge: `entry:${key}:${playerId}${suffix}`, refund: `refund:${key}:${playerId}${suffix}` };
+}
+
+/**
+ * Debits the game's entry fee from a player who has just taken a seat.
+ * Throws a WalletError (e.g. INSUFFICIENT_FUNDS) when the fee cannot be paid.
+ */
+async function chargeEntryFee(gameState, playerId, supabase) {
+    if (!gameState.entryFee) return null;
+    try {
+        const { transaction } = await Wallet.postTransaction({
+            userId: playerId, amount: gameState.entryFee, type: 'ENTRY_FEE',
+            idempotencyKey: getFeeKeys(gameState, playerId).charge,
+            description: `Entry fee for game ${gameState.gameId}`,
+        }, supabase);
+        return transaction;
+    } catch (e) {
+        // Anything else may have been charged after all, and is finished by retrying the same key.
+        if (e instanceof Wallet.WalletError) nextFeeRound(gameState, playerId);
+        throw e;
+    }
+}
+
+/**
+ * Ids of the winning player, or of every member of the winning team.
+ */
+function getWinnerIds(winner) {
+    if (!winner) return [];
+    return winner.playerIds || [winner.playerId];
+}
+
+/**
+ * Splits the prize among the winners, or by finishing place when the game has a prize distribution.
+ * Players sharing a place (a team) split that place's share. Returns [{ playerId, amount, rank }].
+ */
+function computePayouts(gameState, prize) {
+    if (prize <= 0) return [];
+    let shares;
+    if (gameState.prizeDistribution && gameState.rankings?.length > 0) {
+        // Players who left the game are ranked but never paid.
+        const placed = gameState.rankings.filter(r => r.reason !== 'left');
+        shares = placed.map(({ playerId, rank }) => {
+            const percentage = gameState.prizeDistribution[rank - 1] || 0;
+            const sharing = placed.filter(r => r.rank === rank).length;
+            return { playerId, rank, amount: roundDown(prize * percentage / 100 / sharing) };
+        });
+    } else {
+        const winnerIds = getWinnerIds(gameState.winner);
+        shares = winnerIds.map(playerId => ({ playerId, rank: 1, amount: roundDown(prize / winnerIds.length) }));
+    }
+    // Bots have no wallet; a bot's share stays with the house.
+    const humans = new Set(gameState.players.filter(p => !p.isBot).map(p => p.playerId));
+    return shares.filter(s => s.amount > 0 && humans.has(s.playerId));
+}
+
+/**
+ * Gives a player who gave up their seat before the game started their entry fee back.
+ */
+async function refundEntryFee(gameState, playerId, supabase) {
+    if (!gameState.entryFee) return null;
+    const { transaction } = await Wallet.postTransaction({
+        userId: playerId, amount: gameState.entryFee, type: 'REFUND',
+        idempotencyKey: getFeeKeys(gameState, playerId).refund,
+        description: `Entry fee refund for game ${gameState.gameId}`,
+    }, supabase);
+    nextFeeRound(gameState, playerId);
+    return transaction;
+}
+
+/**
+ * Gives every player of a cancelled game their entry fee back, once, and cancels its tournament.
+ */
+async function refundEntryFees(gameState, supabase) {
+    const refunds = [];
+    if (gameState.entryFee > 0) {
+        for (const player of gameState.players.filter(p => !p.isBot)) {
+            await Wallet.postTransaction({
+                userId: player.playerId, amount: gameState.entryFee, type: 'REFUND',
+                idempotencyKey: getFeeKeys(gameState, player.playerId).refund,
+                description: `Entry fee refund for cancelled game ${gameState.gameId}`,
+            }, supabase);
+            refunds.push({ playerId: player.playerId, amount: gameState.entryFee });
+        }
+    }
+    if (gameState.tournamentId) {
+        const { error } = await supabase.from('tournaments')
+            .update({ status: 'CANCELLED' }).eq('id', gameState.tournamentId).neq('status', 'COMPLETED');
+        if (error) console.error(`Error cancelling tournament ${gameState.tournamentId}:`, error.message);
+    }
+    gameState.settlement = { prizePool: 0, commission: 0, payouts: [], refunds, settledAt: Date.now() };
+    return gameState.settlement;
+}
+
+/**
+ * Pays out a finished game and closes its tournament.
+ * Every payout carries an idempotency key, so running it again for the same game never pays twice.
+ */
+async function settleGame(gameState, supabase) {
+    if (gameState.settlement) return gameState.settlement;
+    if (gameState.isCancelled) return refundEntryFees(gameState, supabase);
+
+    const key = getSettlementKey(gameState);
+    const paidPlayers = gameState.players.filter(p => !p.isBot).length;
+    const prizePool = roundDown(gameState.entryFee * paidPlayers);
+    const commissionPercentage = prizePool > 0 ? await getCommissionPercentage(supabase) : 0;
+    const commission = roundDown(prizePool * commissionPercentage / 100);
+    const payouts = computePayouts(gameState, roundDown(prizePool - commission));
+
+    for (const payout of payouts) {
+        await Wallet.postTransaction({
+            userId: payout.playerId, amount: payout.amount, type: 'WINNINGS',
+            idempotencyKey: `winnings:${key}:${payout.playerId}`,
+            description: `Winnings from game ${gameState.gameId}`,
+        }, supabase);
+    }
+
+    if (gameState.tournamentId) {
+        const { error } = await supabase.from('tournaments')
+            .update({ status: 'COMPLETED', winner_id: getWinnerIds(gameState.winner)[0] || null })
+            .eq('id', gameState.tournamentId).neq('status', 'COMPLETED');
+        if (error) console.error(`Error completing tournament ${gameState.tournamentId}:`, error.message);
+    }
+
+    gameState.settlement = { prizePool, commission, payouts, settledAt: Date.now() };
+    return gameState.settlement;
+}
+
+module.exports = { chargeEntryFee, refundEntryFee, settleGame };
@@ -0,0 +1,95 @@
+-- Wallet ledger used by wallet.js.
+--
+-- Every balance change goes through apply_wallet_entry, which moves the transaction out of PENDING (when
+-- asked to), changes the balance and appends the ledger row in one database transaction. Either all three
+-- happen or none does, and the ledger's unique idempotency_key turns a second application into a no-op.
+
+alter table public.transactions add column if not exists idempotency_key text;
+create unique index if not exists transactions_idempotency_key_key on public.transactions (idempotency_key);
+
+create table if not exists public.wallet_ledger (
+    id bigint generated always as identity primary key,
+    idempotency_key text not null unique,
+    user_id uuid not null references public.profiles (id),
+    transaction_id uuid not null references public.transactions (id),
+    balance_type text not null check (balance_type in ('deposit_balance', 'winnings_balance')),
+    amount numeric not null,
+    balance_after numeric not null,
+    reason text not null,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists wallet_ledger_user_id_idx on public.wallet_ledger (user_id, created_at);
+create index if not exists wallet_ledger_transaction_id_idx on public.wallet_ledger (transaction_id);
+
+-- Only the server (service role) reads and writes the ledger.
+alter table public.wallet_ledger enable row level security;
+
+-- Applies p_amount to one of the transaction owner's balances under the ledger key '<transaction id>:<reason>'.
+-- With p_from_status the transaction is first moved to p_to_status (taking the description and processed_by
+-- in p_updates); if it is not in p_from_status nothing happens and null is returned. Returns the transaction.
+create or replace function public.apply_wallet_entry(
+    p_transaction_id uuid,
+    p_reason text,
+    p_balance_type text,
+    p_amount numeric,
+    p_from_status text default null,
+    p_to_status text default null,
+    p_updates jsonb default '{}'::jsonb
+) returns jsonb
+language plpgsql
+as $$
+declare
+    v_tx public.transactions;
+    v_key text := p_transaction_id::text || ':' || p_reason;
+    v_balance numeric;
+begin
+    -- Locking the transaction serializes every caller working on it.
+    select * into v_tx from public.transactions where id = p_transaction_id for update;
+    if not found then
+        raise exception 'TRANSACTION_NOT_FOUND';
+    end if;
+
+    if p_from_status is not null then
+        if v_tx.status is distinct from p_from_status then
+            return null;
+        end if;
+        update public.transactions
+           set status = p_to_status,
+               description = coalesce(p_updates ->> 'description', description),
+               processed_by = coalesce((p_updates ->> 'processed_by')::uuid, processed_by)
+         where id = p_transaction_id
+        returning * into v_tx;
+    end if;
+
+    insert into public.wallet_ledger (idempotency_key, user_id, transaction_id, balance_type, amount, balance_after, reason)
+    values (v_key, v_tx.user_id, v_tx.id, p_balance_type, p_amount, 0, p_reason)
+    on conflict (idempotency_key) do nothing;
+    if not found then
+        return to_jsonb(v_tx); -- Already applied.
+    end if;
+
+    if p_balance_type = 'deposit_balance' then
+        update public.profiles set deposit_balance = coalesce(deposit_balance, 0) + p_amount
+         where id = v_tx.user_id returning deposit_balance into v_balance;
+    elsif p_balance_type = 'winnings_balance' then
+        update public.profiles set winnings_balance = coalesce(winnings_balance, 0) + p_amount
+         where id = v_tx.user_id returning winnings_balance into v_balance;
+    else
+        raise exception 'UNKNOWN_BALANCE';
+    end if;
+    if v_balance is null then
+        raise exception 'PROFILE_NOT_FOUND';
+    end if;
+    if v_balance < 0 then
+        raise exception 'INSUFFICIENT_FUNDS';
+    end if;
+
+    update public.wallet_ledger set balance_after = v_balance where idempotency_key = v_key;
+    return to_jsonb(v_tx);
+end;
+$$;
+
+-- Clients must never be able to move money themselves.
+revoke execute on function public.apply_wallet_entry(uuid, text, text, numeric, text, text, jsonb) from public, anon, authenticated;
+grant execute on function public.apply_wallet_entry(uuid, text, text, numeric, text, text, jsonb) to service_role;
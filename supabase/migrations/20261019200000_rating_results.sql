@@ -0,0 +1,82 @@
+-- Player ratings used by ratings.js.
+--
+-- record_rating_result counts one rated game for one player: the rating_history row and the change to the
+-- player_ratings totals are written in one database transaction, and the history row's unique
+-- (match_id, user_id) makes counting the same game twice a no-op. `match_id` is the game's own id: room codes
+-- are reused, so two games can share a `game_code`.
+
+create table if not exists public.player_ratings (
+    user_id uuid primary key references public.profiles (id),
+    rating integer not null default 1500,
+    games_played integer not null default 0,
+    wins integer not null default 0,
+    captures integer not null default 0,
+    pieces_lost integer not null default 0,
+    total_game_seconds bigint not null default 0,
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists player_ratings_rating_idx on public.player_ratings (rating desc);
+
+create table if not exists public.rating_history (
+    id bigint generated always as identity primary key,
+    match_id text not null,
+    game_code text not null,
+    user_id uuid not null references public.profiles (id),
+    rating_before integer not null,
+    rating_after integer not null,
+    rating_change integer not null,
+    rank integer not null,
+    is_win boolean not null default false,
+    captures integer not null default 0,
+    pieces_lost integer not null default 0,
+    game_seconds integer not null default 0,
+    created_at timestamptz not null default now(),
+    unique (match_id, user_id)
+);
+
+create index if not exists rating_history_created_at_idx on public.rating_history (created_at);
+
+-- Returns the player's new rating, or null if this game was already counted for them.
+create or replace function public.record_rating_result(
+    p_match_id text,
+    p_game_code text,
+    p_user_id uuid,
+    p_rating_change integer,
+    p_rank integer,
+    p_is_win boolean,
+    p_captures integer,
+    p_pieces_lost integer,
+    p_game_seconds integer
+) returns integer
+language plpgsql
+as $$
+declare
+    v_row public.player_ratings;
+begin
+    insert into public.player_ratings (user_id) values (p_user_id) on conflict (user_id) do nothing;
+    -- Locking the rating row serializes games finishing for the same player at the same time.
+    select * into v_row from public.player_ratings where user_id = p_user_id for update;
+
+    insert into public.rating_history (match_id, game_code, user_id, rating_before, rating_after, rating_change, rank, is_win, captures, pieces_lost, game_seconds)
+    values (p_match_id, p_game_code, p_user_id, v_row.rating, v_row.rating + p_rating_change, p_rating_change, p_rank, p_is_win, p_captures, p_pieces_lost, p_game_seconds)
+    on conflict (match_id, user_id) do nothing;
+    if not found then
+        return null; -- Already counted.
+    end if;
+
+    update public.player_ratings
+       set rating = rating + p_rating_change,
+           games_played = games_played + 1,
+           wins = wins + case when p_is_win then 1 else 0 end,
+           captures = captures + p_captures,
+           pieces_lost = pieces_lost + p_pieces_lost,
+           total_game_seconds = total_game_seconds + p_game_seconds,
+           updated_at = now()
+     where user_id = p_user_id;
+    return v_row.rating + p_rating_change;
+end;
+$$;
+
+revoke execute on function public.record_rating_result(text, text, uuid, integer, integer, boolean, integer, integer, integer) from public, anon, authenticated;
+grant execute on function public.record_rating_result(text, text, uuid, integer, integer, boolean, integer, integer, integer) to service_role;
@@ -0,0 +1,37 @@
+-- Live game snapshots used by gameStore.js (SupabaseGameStore).
+--
+-- A snapshot is split in three so that nothing secret sits next to the game state and a save does not grow
+-- with the game: `live_games` holds the state without its secrets and logs, `live_game_secrets` the dice
+-- server seed, room password hash and invite tokens, and `live_game_log` the replay log and turn history one
+-- entry per row. Only the server (service role) reads and writes any of them.
+
+create table if not exists public.live_games (
+    game_code text primary key,
+    status text not null,
+    state jsonb not null,
+    log_lengths jsonb, -- Entries of each log in `live_game_log` that belong to this state.
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists live_games_status_idx on public.live_games (status);
+
+create table if not exists public.live_game_secrets (
+    game_code text primary key,
+    secrets jsonb not null default '{}'::jsonb,
+    updated_at timestamptz not null default now()
+);
+
+-- Keyed by the game's own id (`matchId`): room codes are reused, logs must not be.
+create table if not exists public.live_game_log (
+    match_id text not null,
+    kind text not null check (kind in ('eventLog', 'turn_history')),
+    seq integer not null,
+    entry jsonb not null,
+    primary key (match_id, kind, seq)
+);
+
+alter table public.live_games enable row level security;
+alter table public.live_game_secrets enable row level security;
+alter table public.live_game_log enable row level security;
+
+revoke all on public.live_games, public.live_game_secrets, public.live_game_log from anon, authenticated;
@@ -0,0 +1,13 @@
+-- The admin who approved or rejected a transaction, written by apply_wallet_entry from p_updates.processed_by.
+
+alter table public.transactions add column if not exists processed_by uuid references public.profiles (id);
+
+-- Users may read their own transactions. Every write goes through the server (service role), which is not
+-- subject to row level security.
+alter table public.transactions enable row level security;
+
+drop policy if exists "Users read their own transactions" on public.transactions;
+create policy "Users read their own transactions" on public.transactions
+    for select to authenticated using (auth.uid() = user_id);
+
+revoke insert, update, delete on public.transactions from anon, authenticated;
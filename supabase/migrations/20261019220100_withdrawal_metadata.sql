@@ -0,0 +1,4 @@
+-- Where a withdrawal is paid out to, `{ method, account }`, given when it is requested (POST /api/withdrawals).
+-- Readable by the owner under the transactions policy of 20261019220000_transaction_processed_by.sql.
+
+alter table public.transactions add column if not exists metadata jsonb;
@@ -0,0 +1,27 @@
+-- Tournament registrations. Rooms seat registered players in registration order (created_at), so the
+-- timestamp is always the database's own.
+
+create table if not exists public.tournament_participants (
+    id uuid primary key default gen_random_uuid(),
+    tournament_id uuid not null references public.tournaments (id) on delete cascade,
+    user_id uuid not null references public.profiles (id),
+    created_at timestamptz not null default now(),
+    unique (tournament_id, user_id)
+);
+
+create index if not exists tournament_participants_order_idx on public.tournament_participants (tournament_id, created_at);
+
+-- Users register themselves and see their own registrations; the server (service role) reads them all.
+alter table public.tournament_participants enable row level security;
+
+drop policy if exists "Users read their own registrations" on public.tournament_participants;
+create policy "Users read their own registrations" on public.tournament_participants
+    for select to authenticated using (auth.uid() = user_id);
+
+drop policy if exists "Users register themselves" on public.tournament_participants;
+create policy "Users register themselves" on public.tournament_participants
+    for insert to authenticated with check (auth.uid() = user_id);
+
+revoke all on public.tournament_participants from anon, authenticated;
+grant select on public.tournament_participants to authenticated;
+grant insert (tournament_id, user_id) on public.tournament_participants to authenticated;
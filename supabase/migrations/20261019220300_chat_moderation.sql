@@ -0,0 +1,34 @@
+-- Chat mutes and bans and users' reports of chat messages, used by moderation.js. Only the server (service
+-- role) reads and writes them: clients learn about a sanction from the chat's rejection message.
+
+create table if not exists public.chat_sanctions (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references public.profiles (id),
+    type text not null check (type in ('MUTE', 'BAN')),
+    reason text,
+    expires_at timestamptz, -- Null for a permanent ban.
+    created_by uuid references public.profiles (id),
+    revoked_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists chat_sanctions_active_idx on public.chat_sanctions (user_id) where revoked_at is null;
+
+create table if not exists public.chat_reports (
+    id uuid primary key default gen_random_uuid(),
+    channel text not null check (channel in ('game', 'spectator', 'group', 'support')),
+    message_id text not null,
+    game_code text,
+    reporter_id uuid not null references public.profiles (id),
+    reported_user_id uuid references public.profiles (id),
+    message_text text,
+    reason text,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists chat_reports_created_at_idx on public.chat_reports (created_at);
+
+alter table public.chat_sanctions enable row level security;
+alter table public.chat_reports enable row level security;
+
+revoke all on public.chat_sanctions, public.chat_reports from anon, authenticated;
@@ -0,0 +1,33 @@
+-- Support tickets used by support.js. Every support_chats message belongs to a ticket through ticket_id.
+
+create table if not exists public.support_tickets (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references public.profiles (id),
+    category text not null default 'OTHER' check (category in ('DEPOSIT', 'GAME_DISPUTE', 'WITHDRAWAL', 'OTHER')),
+    subject text check (char_length(subject) <= 120),
+    status text not null default 'OPEN' check (status in ('OPEN', 'PENDING', 'RESOLVED')),
+    priority text not null default 'NORMAL' check (priority in ('LOW', 'NORMAL', 'HIGH', 'URGENT')),
+    assigned_admin_id uuid references public.profiles (id),
+    transaction_id uuid references public.transactions (id),
+    game_code text,
+    last_message_at timestamptz,
+    user_last_read_at timestamptz,
+    admin_last_read_at timestamptz,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists support_tickets_user_idx on public.support_tickets (user_id, last_message_at desc);
+create index if not exists support_tickets_queue_idx on public.support_tickets (status, assigned_admin_id, last_message_at desc);
+
+alter table public.support_chats add column if not exists ticket_id uuid references public.support_tickets (id);
+create index if not exists support_chats_ticket_idx on public.support_chats (ticket_id, created_at);
+
+-- Users may read their own tickets. Tickets are opened, answered and assigned through the server (service role).
+alter table public.support_tickets enable row level security;
+
+drop policy if exists "Users read their own tickets" on public.support_tickets;
+create policy "Users read their own tickets" on public.support_tickets
+    for select to authenticated using (auth.uid() = user_id);
+
+revoke insert, update, delete on public.support_tickets from anon, authenticated;
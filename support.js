@@ -0,0 +1,211 @@
+// dream-ludo-server/support.js
+
+"use strict";
+
+/**
+ * Support tickets.
+ *
+ * A `support_tickets` row is one conversation between a user and the admins, with a category, a status, a
+ * priority, the admin it is assigned to and optionally the transaction or game it is about. Its messages
+ * are `support_chats` rows with the ticket's `ticket_id`. A message from the user (re)opens the ticket, a
+ * reply from an admin puts it in PENDING until the user answers.
+ *
+ * Read receipts are the `user_last_read_at` / `admin_last_read_at` timestamps on the ticket: every message
+ * from the other side created after them is unread.
+ */
+
+const { isValidUuid } = require('./validation');
+
+const TicketCategory = { Deposit: 'DEPOSIT', GameDispute: 'GAME_DISPUTE', Withdrawal: 'WITHDRAWAL', Other: 'OTHER' };
+const TicketStatus = { Open: 'OPEN', Pending: 'PENDING', Resolved: 'RESOLVED' };
+const TicketPriority = { Low: 'LOW', Normal: 'NORMAL', High: 'HIGH', Urgent: 'URGENT' };
+
+const MAX_SUBJECT_LENGTH = 120;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+class SupportError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'SupportError';
+        this.code = code;
+    }
+}
+
+function isOneOf(values, value) {
+    return Object.values(values).includes(value);
+}
+
+function normalizeGameCode(gameCode) {
+    const code = String(gameCode).toUpperCase();
+    if (!/^[A-Z0-9]{4,12}$/.test(code)) throw new SupportError('INVALID_GAME_CODE', 'Invalid game code.');
+    return code;
+}
+
+/**
+ * Opens a ticket for a user. A linked transaction has to be one of the user's own.
+ */
+async function createTicket({ userId, category = TicketCategory.Other, subject, transactionId, gameCode }, supabase) {
+    if (!isOneOf(TicketCategory, category)) throw new SupportError('INVALID_CATEGORY', 'Unknown ticket category.');
+    if (transactionId) {
+        if (!isValidUuid(transactionId)) throw new SupportError('INVALID_TRANSACTION', 'Invalid transaction id.');
+        const { data: tx } = await supabase.from('transactions').select('id').eq('id', transactionId).eq('user_id', userId).maybeSingle();
+        if (!tx) throw new SupportError('INVALID_TRANSACTION', 'Transaction not found.');
+    }
+    const { data, error } = await supabase.from('support_tickets').insert({
+        user_id: userId,
+        category,
+        subject: typeof subject === 'string' && subject.trim() ? subject.trim().slice(0, MAX_SUBJECT_LENGTH) : null,
+        status: TicketStatus.Open,
+        priority: TicketPriority.Normal,
+        transaction_id: transactionId || null,
+        game_code: gameCode ? normalizeGameCode(gameCode) : null,
+    }).select().single();
+    if (error) throw new Error(`Failed to create ticket: ${error.message}`);
+    return data;
+}
+
+async function getTicket(ticketId, supabase) {
+    if (!isValidUuid(ticketId)) return null;
+    const { data, error } = await supabase.from('support_tickets').select('*').eq('id', ticketId).maybeSingle();
+    if (error) throw new Error(`Failed to load ticket: ${error.message}`);
+    return data;
+}
+
+/**
+ * The user's most recently active ticket that is not resolved, or null.
+ */
+async function findOpenTicket(userId, supabase) {
+    const { data, error } = await supabase.from('support_tickets').select('*')
+        .eq('user_id', userId).neq('status', TicketStatus.Resolved)
+        .order('last_message_at', { ascending: false, nullsFirst: false }).limit(1).maybeSingle();
+    if (error) throw new Error(`Failed to load ticket: ${error.message}`);
+    return data;
+}
+
+/**
+ * Tickets matching `{ userId, status, category, priority, assignedTo }`, most recently active first.
+ * `assignedTo` is an admin id or 'unassigned'; `visibleTo` limits the list to what that admin may see.
+ */
+async function listTickets({ userId, status, category, priority, assignedTo, visibleTo, limit = DEFAULT_PAGE_SIZE, offset = 0 } = {}, supabase) {
+    let query = supabase.from('support_tickets').select('*');
+    if (userId) query = query.eq('user_id', userId);
+    if (isOneOf(TicketStatus, status)) query = query.eq('status', status);
+    if (isOneOf(TicketCategory, category)) query = query.eq('category', category);
+    if (isOneOf(TicketPriority, priority)) query = query.eq('priority', priority);
+    if (assignedTo === 'unassigned') query = query.is('assigned_admin_id', null);
+    else if (isValidUuid(assignedTo)) query = query.eq('assigned_admin_id', assignedTo);
+    if (visibleTo) query = query.or(`assigned_admin_id.is.null,assigned_admin_id.eq.${visibleTo}`);
+
+    const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, Number(limit) || DEFAULT_PAGE_SIZE));
+    const start = Math.max(0, Number(offset) || 0);
+    const { data, error } = await query
+        .order('last_message_at', { ascending: false, nullsFirst: false })
+        .range(start, start + pageSize - 1);
+    if (error) throw new Error(`Failed to list tickets: ${error.message}`);
+    return data || [];
+}
+
+/**
+ * Applies an admin's changes (`status`, `priority`, `category`, `assigned_admin_id`) to a ticket.
+ */
+async function updateTicket(ticketId, changes, supabase) {
+    const update = {};
+    if (changes.status !== undefined) {
+        if (!isOneOf(TicketStatus, changes.status)) throw new SupportError('INVALID_STATUS', 'Unknown ticket status.');
+        update.status = changes.status;
+    }
+    if (changes.priority !== undefined) {
+        if (!isOneOf(TicketPriority, changes.priority)) throw new SupportError('INVALID_PRIORITY', 'Unknown ticket priority.');
+        update.priority = changes.priority;
+    }
+    if (changes.category !== undefined) {
+        if (!isOneOf(TicketCategory, changes.category)) throw new SupportError('INVALID_CATEGORY', 'Unknown ticket category.');
+        update.category = changes.category;
+    }
+    if (changes.assigned_admin_id !== undefined) {
+        if (changes.assigned_admin_id !== null && !isValidUuid(changes.assigned_admin_id)) throw new SupportError('INVALID_ADMIN', 'Invalid admin id.');
+        update.assigned_admin_id = changes.assigned_admin_id;
+    }
+    update.updated_at = new Date().toISOString();
+    const { data, error } = await supabase.from('support_tickets').update(update).eq('id', ticketId).select().single();
+    if (error) throw new Error(`Failed to update ticket: ${error.message}`);
+    return data;
+}
+
+/**
+ * Adds a message to a ticket and moves the ticket's status along. Returns the message and the updated ticket.
+ */
+async function addMessage(ticket, { username, text, fromAdmin }, supabase) {
+    const { data: message, error } = await supabase.from('support_chats').insert({
+        ticket_id: ticket.id,
+        user_id: ticket.user_id,
+        username: fromAdmin ? 'Admin' : username,
+        message_text: text,
+        sent_by_admin: fromAdmin,
+    }).select().single();
+    if (error) throw new Error(`Failed to save support message: ${error.message}`);
+
+    const now = new Date().toISOString();
+    // Writing counts as reading everything before it.
+    const { data: updated, error: updateError } = await supabase.from('support_tickets').update({
+        status: fromAdmin ? TicketStatus.Pending : TicketStatus.Open,
+        last_message_at: message.created_at || now,
+        updated_at: now,
+        [fromAdmin ? 'admin_last_read_at' : 'user_last_read_at']: message.created_at || now,
+    }).eq('id', ticket.id).select().single();
+    if (updateError) throw new Error(`Failed to update ticket: ${updateError.message}`);
+    return { message, ticket: updated };
+}
+
+/**
+ * A ticket's messages, oldest first.
+ */
+async function getMessages(ticketId, supabase) {
+    const { data, error } = await supabase.from('support_chats').select('*')
+        .eq('ticket_id', ticketId).order('created_at', { ascending: true });
+    if (error) throw new Error(`Failed to load support messages: ${error.message}`);
+    return data || [];
+}
+
+/**
+ * Records that the user (or the admins) have read a ticket up to now. Returns the updated ticket.
+ */
+async function markRead(ticketId, asAdmin, supabase) {
+    const { data, error } = await supabase.from('support_tickets')
+        .update({ [asAdmin ? 'admin_last_read_at' : 'user_last_read_at']: new Date().toISOString() })
+        .eq('id', ticketId).select().single();
+    if (error) throw new Error(`Failed to mark ticket as read: ${error.message}`);
+    return data;
+}
+
+/**
+ * Adds `unreadCount` to each ticket: messages from the other side newer than the reader's last read.
+ */
+async function attachUnreadCounts(tickets, asAdmin, supabase) {
+    if (tickets.length === 0) return tickets;
+    const readAtKey = asAdmin ? 'admin_last_read_at' : 'user_last_read_at';
+    const readAt = new Map(tickets.map(t => [t.id, t[readAtKey] ? Date.parse(t[readAtKey]) : 0]));
+    const since = new Date(Math.min(...readAt.values())).toISOString();
+    const { data, error } = await supabase.from('support_chats').select('ticket_id, created_at')
+        .in('ticket_id', tickets.map(t => t.id)).eq('sent_by_admin', !asAdmin).gt('created_at', since);
+    if (error) throw new Error(`Failed to count unread messages: ${error.message}`);
+    const counts = new Map();
+    for (const row of data || []) {
+        if (Date.parse(row.created_at) > readAt.get(row.ticket_id)) counts.set(row.ticket_id, (counts.get(row.ticket_id) || 0) + 1);
+    }
+    return tickets.map(t => ({ ...t, unreadCount: counts.get(t.id) || 0 }));
+}
+
+/**
+ * Admins see unassigned tickets and the ones assigned to them.
+ */
+function isVisibleToAdmin(ticket, adminId) {
+    return !ticket.assigned_admin_id || ticket.assigned_admin_id === adminId;
+}
+
+module.exports = {
+    TicketCategory, TicketStatus, TicketPriority, SupportError,
+    createTicket, getTicket, findOpenTicket, listTickets, updateTicket,
+    addMessage, getMessages, markRead, attachUnreadCounts, isVisibleToAdmin
+};
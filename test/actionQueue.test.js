@@ -0,0 +1,248 @@
+// dream-ludo-server/test/actionQueue.test.js
+
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GameActionQueue } = require('../actionQueue');
+const { TurnRunner } = require('../turns');
+const { GameStatus, createNewGame, addPlayer, addBot, startGame, movePiece, leaveGame } = require('../game');
+const { ReplayEvent } = require('../replay');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// The server's delays, shortened so a test plays hundreds of turns in well under a second each.
+const DELAYS = { rollAnimation: 3, turnEnd: { PENALTY: 2, NO_MOVES: 2 }, botThink: 2, tick: 5 };
+
+/**
+ * Stands in for Supabase. Every write takes a moment, so an action that logs turn activity yields
+ * to whatever else is pending, as it does against the real database.
+ */
+const slowSupabase = {
+    from: () => ({
+        insert: async () => {
+            await sleep(1);
+            return { error: null };
+        }
+    })
+};
+
+/**
+ * Small deterministic random source so a failing interleaving can be replayed.
+ */
+function createRandom(seed) {
+    let value = seed;
+    return () => {
+        value = (value * 1103515245 + 12345) % 2147483648;
+        return value / 2147483648;
+    };
+}
+
+/**
+ * A started game driven the way server.js drives it: every player action goes through the game's queue,
+ * rolls and turn timeouts through its `TurnRunner`, and the state is checked after each change (where the
+ * server would broadcast it).
+ */
+async function createRoom(playerCount, botCount = 0) {
+    // A tournament game logs every turn to Supabase, which gives each action a real await.
+    const state = createNewGame('TEST', { max_players: 4, tournamentId: 'test-tournament' });
+    for (let i = 0; i < playerCount; i++) addPlayer(state, `player-${i}`, `Player ${i}`);
+    for (let i = 0; i < botCount; i++) addBot(state, 'medium');
+    await startGame(state, null, slowSupabase);
+
+    const queue = new GameActionQueue('test game');
+    const room = { state, queue, violations: [] };
+    room.turns = new TurnRunner(room, { broadcast: () => room.broadcast(), delays: DELAYS }, slowSupabase);
+
+    room.broadcast = () => {
+        checkState(state, room.violations);
+        if (state.gameStatus === GameStatus.Finished) queue.cancelAll();
+        room.turns.scheduleBot();
+    };
+
+    room.roll = (playerId) => queue.enqueue(() => room.turns.roll(playerId));
+
+    room.move = (playerId, pieceId) => queue.enqueue(async () => {
+        await movePiece(state, playerId, pieceId, slowSupabase);
+        room.broadcast();
+    });
+
+    room.leave = (playerId) => queue.enqueue(async () => {
+        const turnBefore = state.currentPlayerIndex;
+        await leaveGame(state, playerId, slowSupabase);
+        if (state.currentPlayerIndex !== turnBefore || state.gameStatus !== GameStatus.Playing) queue.cancel('turn');
+        room.broadcast();
+    });
+
+    // The turn timer running out: the next tick of the game loop plays the turn for the current player.
+    room.timeOut = () => queue.enqueue(() => {
+        state.turnTimeLeft = 0;
+        return room.turns.tick();
+    });
+
+    return room;
+}
+
+function checkState(state, violations) {
+    if (state.gameStatus !== GameStatus.Playing) return;
+    const current = state.players[state.currentPlayerIndex];
+    if (!current) {
+        violations.push(`no player at index ${state.currentPlayerIndex}`);
+    } else if (current.isRemoved || current.hasFinished) {
+        violations.push(`the turn belongs to ${current.playerId}, who is out of the game`);
+    }
+    if (state.isRolling && state.diceValue !== null) violations.push('rolling with a dice value already drawn');
+    if (state.movablePieces.length > 0 && state.diceValue === null) violations.push('pieces movable without a dice value');
+}
+
+/**
+ * Walks the replay log and returns every roll that moved more than one piece, or moved a piece for
+ * another player or with another value than the one rolled.
+ */
+function findDoubleMoves(eventLog) {
+    const problems = [];
+    let roll = null;
+    for (const event of eventLog) {
+        if (event.type === ReplayEvent.DiceRolled) {
+            roll = { ...event, moves: 0 };
+        } else if (event.type === ReplayEvent.PieceMoved) {
+            if (!roll) {
+                problems.push(`move ${event.seq} without a roll`);
+                continue;
+            }
+            roll.moves++;
+            if (roll.moves > 1) problems.push(`roll ${roll.seq} moved ${roll.moves} pieces`);
+            if (event.playerId !== roll.playerId) problems.push(`move ${event.seq} by ${event.playerId} on ${roll.playerId}'s roll`);
+        }
+    }
+    return problems;
+}
+
+test('GameActionQueue runs actions one at a time in arrival order', async () => {
+    const queue = new GameActionQueue('test');
+    const log = [];
+    const action = (name, delay) => async () => {
+        log.push(`start ${name}`);
+        await sleep(delay);
+        log.push(`end ${name}`);
+    };
+    await Promise.all([queue.enqueue(action('a', 5)), queue.enqueue(action('b', 1)), queue.enqueue(action('c', 0))]);
+    assert.deepEqual(log, ['start a', 'end a', 'start b', 'end b', 'start c', 'end c']);
+});
+
+test('GameActionQueue keeps going after an action fails', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const queue = new GameActionQueue('test');
+    const log = [];
+    const failing = queue.enqueue(async () => { throw new Error('boom'); });
+    const after = queue.enqueue(() => log.push('after'));
+    await assert.rejects(failing, /boom/);
+    await after;
+    assert.deepEqual(log, ['after']);
+});
+
+test('GameActionQueue timers replace, cancel and run through the queue', async () => {
+    const queue = new GameActionQueue('test');
+    const log = [];
+    queue.schedule('turn', 2, () => log.push('first'));
+    queue.schedule('turn', 2, () => log.push('second'));
+    queue.schedule('bot', 2, () => log.push('bot'));
+    queue.cancel('bot');
+    assert.equal(queue.isScheduled('turn'), true);
+    assert.equal(queue.isScheduled('bot'), false);
+
+    await sleep(10);
+    await queue.idle();
+    assert.deepEqual(log, ['second']);
+    assert.equal(queue.isScheduled('turn'), false);
+
+    queue.schedule('turn', 2, () => log.push('cancelled'));
+    queue.cancelAll();
+    await sleep(10);
+    assert.deepEqual(log, ['second']);
+});
+
+test('interleaved rolls, moves, leaves and turn timeouts keep one current player and one move per roll', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    for (const seed of [1, 2, 3, 4, 5]) {
+        const random = createRandom(seed);
+        const room = await createRoom(4);
+        const { state, queue } = room;
+
+        for (let step = 0; step < 400 && state.gameStatus === GameStatus.Playing; step++) {
+            const pick = random();
+            const someone = state.players[Math.floor(random() * state.players.length)].playerId;
+            const current = state.players[state.currentPlayerIndex].playerId;
+            if (pick < 0.45) {
+                // The current player double-clicks the dice, sometimes while someone else tries too.
+                room.roll(current);
+                room.roll(current);
+                room.roll(someone);
+            } else if (pick < 0.9) {
+                // Clicks read the state as the client last saw it, so they may already be stale when they run.
+                const pieceId = state.movablePieces[Math.floor(random() * state.movablePieces.length)] ?? 0;
+                room.move(current, pieceId);
+                room.move(current, pieceId);
+                room.move(someone, pieceId);
+            } else if (pick < 0.995) {
+                room.timeOut();
+            } else {
+                room.leave(someone);
+            }
+            // Let timers fire in between some of the bursts.
+            if (random() < 0.5) await sleep(Math.floor(random() * 4));
+        }
+        // Let the last roll and turn change play out.
+        while (queue.timers.size > 0) await sleep(5);
+        await queue.idle();
+
+        assert.deepEqual(room.violations, [], `seed ${seed}`);
+        assert.deepEqual(findDoubleMoves(state.eventLog), [], `seed ${seed}`);
+        assert.ok(state.eventLog.some(event => event.type === ReplayEvent.PieceMoved), `seed ${seed} never moved a piece`);
+    }
+});
+
+test('no timer is left running and nothing changes once the game ends', async () => {
+    const room = await createRoom(3);
+    const { state, queue } = room;
+
+    // Player 0 rolls and both opponents leave while the roll animation is still pending.
+    room.roll('player-0');
+    room.leave('player-1');
+    room.leave('player-2');
+    room.roll('player-0');
+    room.move('player-0', 0);
+    room.timeOut();
+    await queue.idle();
+
+    assert.equal(state.gameStatus, GameStatus.Finished);
+    assert.equal(state.winner.playerId, 'player-0');
+    assert.equal(queue.timers.size, 0);
+
+    const eventCount = state.eventLog.length;
+    const stateAfterEnd = JSON.stringify(state);
+    await sleep(DELAYS.rollAnimation + DELAYS.turnEnd.PENALTY + 10);
+    room.roll('player-0');
+    room.move('player-0', 0);
+    room.timeOut();
+    await queue.idle();
+
+    assert.equal(queue.timers.size, 0);
+    assert.equal(state.eventLog.length, eventCount);
+    assert.equal(JSON.stringify(state), stateAfterEnd);
+    assert.deepEqual(room.violations, []);
+});
+
+test('bots play a game to the end through the same roll and move flow', async () => {
+    const room = await createRoom(0, 2);
+    const { state, queue } = room;
+
+    room.broadcast();
+    for (let i = 0; i < 2000 && state.gameStatus === GameStatus.Playing; i++) await sleep(5);
+    await queue.idle();
+
+    assert.equal(state.gameStatus, GameStatus.Finished);
+    assert.equal(queue.timers.size, 0);
+    assert.deepEqual(room.violations, []);
+    assert.deepEqual(findDoubleMoves(state.eventLog), []);
+});
@@ -0,0 +1,41 @@
+// dream-ludo-server/test/dice.test.js
+
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Dice = require('../dice');
+const { GameStatus, createNewGame, addPlayer, setClientSeed, startGame, initiateRoll, completeRoll, advanceTurn } = require('../game');
+
+test('a player without a seed of their own gets one anyone can recompute from the commitment', async () => {
+    const state = createNewGame('DICE01', { max_players: 2 });
+    addPlayer(state, 'player-1', 'One');
+    addPlayer(state, 'player-2', 'Two');
+    assert.equal(setClientSeed(state, 'player-2', 'my own seed'), true);
+    await startGame(state, 'player-1', null);
+
+    const { commitment, clientSeed } = state.fairness;
+    assert.equal(clientSeed, `${Dice.sha256(`${commitment}:player-1`)}:my own seed`);
+    assert.equal(Dice.defaultClientSeed(commitment, 'player-1'), Dice.sha256(`${commitment}:player-1`));
+});
+
+test('every roll of a game verifies against the revealed server seed', async () => {
+    const state = createNewGame('DICE02', { max_players: 2 });
+    addPlayer(state, 'player-1', 'One');
+    addPlayer(state, 'player-2', 'Two');
+    await startGame(state, 'player-1', null);
+
+    for (let i = 0; i < 20 && state.gameStatus === GameStatus.Playing; i++) {
+        const { playerId } = state.players[state.currentPlayerIndex];
+        initiateRoll(state, playerId);
+        await completeRoll(state, playerId, null);
+        await advanceTurn(state, null);
+    }
+
+    const verification = Dice.verifyGame({ ...state.fairness, serverSeed: state.secrets.serverSeed, turnHistory: state.turn_history });
+    assert.ok(verification.rolls.length > 0);
+    assert.equal(verification.allValid, true);
+
+    const forged = Dice.verifyGame({ ...state.fairness, serverSeed: Dice.randomSeed(), turnHistory: state.turn_history });
+    assert.equal(forged.allValid, false);
+});
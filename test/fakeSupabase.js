@@ -0,0 +1,197 @@
+// dream-ludo-server/test/fakeSupabase.js
+
+"use strict";
+
+/**
+ * In-memory stand-in for the PostgREST calls the server modules make, for tests.
+ *
+ * Tables are arrays of plain rows. `unique` names the columns (or comma-separated column sets) that must be
+ * unique per table; an insert that breaks one fails with Postgres' 23505 like the real thing. `rpc` maps
+ * database function names to `(args, db) => data` implementations, which may throw `{ message }` to fail.
+ * Every write is recorded in `writes` as `{ table, op, row }`.
+ */
+function createFakeSupabase({ unique = {}, rpc = {} } = {}) {
+    const tables = new Map();
+    const writes = [];
+    const copy = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+    const rowsOf = (table) => {
+        if (!tables.has(table)) tables.set(table, []);
+        return tables.get(table);
+    };
+    const conflictsOf = (table, row, columns) => rowsOf(table).find(existing =>
+        row !== existing && columns.every(column => row[column] !== undefined && existing[column] === row[column]));
+
+    const from = (table) => {
+        const filters = [];
+        let operation = { type: 'select' };
+        let single = null;
+        let order = [];
+        let range = null;
+        let head = false;
+
+        const matches = row => filters.every(filter => filter(row));
+        const selectRows = (rows) => {
+            let result = [...rows];
+            for (const { column, ascending } of [...order].reverse()) {
+                result.sort((a, b) => (a[column] > b[column] ? 1 : a[column] < b[column] ? -1 : 0) * (ascending ? 1 : -1));
+            }
+            if (range) result = result.slice(range[0], range[1] + 1);
+            return result.map(copy);
+        };
+
+        const run = () => {
+            let rows;
+            try {
+                rows = execute();
+            } catch (e) {
+                return { data: null, error: e, count: null };
+            }
+            if (head) return { data: null, error: null, count: rows.length };
+            if (single === 'single') {
+                return rows.length === 1 ? { data: rows[0], error: null } : { data: null, error: { message: 'JSON object requested, multiple (or no) rows returned' } };
+            }
+            if (single === 'maybe') return { data: rows[0] || null, error: null };
+            return { data: rows, error: null, count: rows.length };
+        };
+
+        const execute = () => {
+            const rows = rowsOf(table);
+            switch (operation.type) {
+                case 'select':
+                    return selectRows(rows.filter(matches));
+                case 'insert': {
+                    const inserted = [];
+                    for (const input of [].concat(operation.rows)) {
+                        const row = { id: nextRowId(), created_at: new Date().toISOString(), ...copy(input) };
+                        for (const columns of (unique[table] || []).map(u => u.split(','))) {
+                            if (conflictsOf(table, row, columns)) throw { code: '23505', message: `duplicate key value violates unique constraint on ${columns}` };
+                        }
+                        rows.push(row);
+                        writes.push({ table, op: 'insert', row: copy(row) });
+                        inserted.push(copy(row));
+                    }
+                    return inserted;
+                }
+                case 'upsert': {
+                    const columns = operation.onConflict.split(',');
+                    const upserted = [];
+                    for (const input of [].concat(operation.rows)) {
+                        const row = copy(input);
+                        writes.push({ table, op: 'upsert', row: copy(row) });
+                        const existing = conflictsOf(table, row, columns);
+                        if (!existing) {
+                            rows.push(row);
+                        } else if (!operation.ignoreDuplicates) {
+                            Object.assign(existing, row);
+                        }
+                        upserted.push(copy(existing || row));
+                    }
+                    return upserted;
+                }
+                case 'update': {
+                    const updated = rows.filter(matches);
+                    for (const row of updated) {
+                        Object.assign(row, copy(operation.values));
+                        writes.push({ table, op: 'update', row: copy(row) });
+                    }
+                    return updated.map(copy);
+                }
+                case 'delete': {
+                    const deleted = rows.filter(matches);
+                    tables.set(table, rows.filter(row => !matches(row)));
+                    deleted.forEach(row => writes.push({ table, op: 'delete', row: copy(row) }));
+                    return deleted.map(copy);
+                }
+            }
+            throw new Error(`Unsupported operation ${operation.type}`);
+        };
+
+        const query = {
+            select: (columns, options = {}) => { head = Boolean(options.head); return query; },
+            insert: (rows) => { operation = { type: 'insert', rows }; return query; },
+            upsert: (rows, { onConflict, ignoreDuplicates = false } = {}) => { operation = { type: 'upsert', rows, onConflict, ignoreDuplicates }; return query; },
+            update: (values) => { operation = { type: 'update', values }; return query; },
+            delete: () => { operation = { type: 'delete' }; return query; },
+            eq: (column, value) => { filters.push(row => row[column] === value); return query; },
+            neq: (column, value) => { filters.push(row => row[column] !== value); return query; },
+            gte: (column, value) => { filters.push(row => row[column] >= value); return query; },
+            in: (column, values) => { filters.push(row => values.includes(row[column])); return query; },
+            is: (column, value) => { filters.push(row => (row[column] ?? null) === value); return query; },
+            order: (column, { ascending = true } = {}) => { order.push({ column, ascending }); return query; },
+            range: (fromIndex, toIndex) => { range = [fromIndex, toIndex]; return query; },
+            limit: (count) => { range = [0, count - 1]; return query; },
+            single: () => { single = 'single'; return query; },
+            maybeSingle: () => { single = 'maybe'; return query; },
+            then: (resolve, reject) => Promise.resolve().then(run).then(resolve, reject),
+        };
+        return query;
+    };
+
+    const db = { tables, rowsOf, writes };
+    return {
+        ...db,
+        from,
+        rpc: async (name, args) => {
+            if (!rpc[name]) return { data: null, error: { message: `Unknown function ${name}` } };
+            try {
+                return { data: copy(await rpc[name](copy(args), db)), error: null };
+            } catch (e) {
+                return { data: null, error: { message: e.message } };
+            }
+        },
+    };
+}
+
+/**
+ * The `apply_wallet_entry` database function (supabase/migrations/20261019190000_wallet_ledger.sql) over the
+ * fake tables. Nothing is written before the last check passes, which stands in for the rollback.
+ */
+function applyWalletEntry(args, { rowsOf }) {
+    const tx = rowsOf('transactions').find(row => row.id === args.p_transaction_id);
+    if (!tx) throw new Error('TRANSACTION_NOT_FOUND');
+    const changes = {};
+    if (args.p_from_status !== null && args.p_from_status !== undefined) {
+        if (tx.status !== args.p_from_status) return null;
+        changes.status = args.p_to_status;
+        if (args.p_updates?.description) changes.description = args.p_updates.description;
+        if (args.p_updates?.processed_by) changes.processed_by = args.p_updates.processed_by;
+    }
+
+    const key = `${tx.id}:${args.p_reason}`;
+    const ledger = rowsOf('wallet_ledger');
+    if (ledger.some(entry => entry.idempotency_key === key)) return Object.assign(tx, changes); // Already applied.
+
+    const profile = rowsOf('profiles').find(row => row.id === tx.user_id);
+    if (!profile) throw new Error('PROFILE_NOT_FOUND');
+    const balance = Number(profile[args.p_balance_type] || 0) + Number(args.p_amount);
+    if (balance < 0) throw new Error('INSUFFICIENT_FUNDS');
+
+    Object.assign(tx, changes);
+    profile[args.p_balance_type] = balance;
+    ledger.push({
+        idempotency_key: key, user_id: tx.user_id, transaction_id: tx.id, balance_type: args.p_balance_type,
+        amount: Number(args.p_amount), balance_after: balance, reason: args.p_reason,
+    });
+    return tx;
+}
+
+/**
+ * A fake with the wallet's tables, constraints and database function, and the given profiles.
+ */
+function createFakeWallet(profiles = []) {
+    const supabase = createFakeSupabase({
+        unique: { transactions: ['idempotency_key'], wallet_ledger: ['idempotency_key'] },
+        rpc: { apply_wallet_entry: applyWalletEntry },
+    });
+    supabase.rowsOf('profiles').push(...profiles.map(p => ({ deposit_balance: 0, winnings_balance: 0, ...p })));
+    return supabase;
+}
+
+let nextId = 0;
+
+function nextRowId() {
+    nextId++;
+    return `00000000-0000-4000-8000-${String(nextId).padStart(12, '0')}`;
+}
+
+module.exports = { createFakeSupabase, createFakeWallet };
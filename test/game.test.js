@@ -0,0 +1,42 @@
+// dream-ludo-server/test/game.test.js
+
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GameStatus, createNewGame, addPlayer, startGame } = require('../game');
+const Lobby = require('../lobby');
+
+function createRoom(options, playerCount) {
+    const state = createNewGame('TEAMS', { hostId: 'player-0', ...options });
+    for (let i = 0; i < playerCount; i++) addPlayer(state, `player-${i}`, `Player ${i}`);
+    return state;
+}
+
+test('a team game only starts with all four seats taken', async () => {
+    for (const playerCount of [2, 3]) {
+        const state = createRoom({ max_players: 4, teams: true }, playerCount);
+        await startGame(state, 'player-0', null);
+        assert.equal(state.gameStatus, GameStatus.Setup, `${playerCount} players`);
+    }
+
+    const state = createRoom({ max_players: 4, teams: true }, 4);
+    await startGame(state, 'player-0', null);
+    assert.equal(state.gameStatus, GameStatus.Playing);
+    assert.equal(new Set(state.players.map(p => p.teamId)).size, 2);
+});
+
+test('a four-player game without teams still starts with two', async () => {
+    const state = createRoom({ max_players: 4 }, 2);
+    await startGame(state, 'player-0', null);
+    assert.equal(state.gameStatus, GameStatus.Playing);
+});
+
+test('a team tournament room with no-shows is cancelled rather than started short', () => {
+    const now = Date.now();
+    const state = createRoom({ max_players: 4, teams: true, tournamentId: 'tournament' }, 3);
+    state.lobby = Lobby.createLobby({ no_show_action: 'start', no_show_timeout: 0 }, now);
+    state.players.forEach(p => Lobby.setPlayerReady(state, p.playerId, true));
+
+    assert.equal(Lobby.advanceLobby(state, now).outcome, Lobby.LobbyOutcome.Cancel);
+});
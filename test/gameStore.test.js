@@ -0,0 +1,90 @@
+// dream-ludo-server/test/gameStore.test.js
+
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SupabaseGameStore } = require('../gameStore');
+const { createNewGame, addPlayer, startGame } = require('../game');
+const Rooms = require('../rooms');
+const { createFakeSupabase } = require('./fakeSupabase');
+
+async function createStartedGame(code) {
+    const state = createNewGame(code, { max_players: 2 });
+    addPlayer(state, 'player-1', 'One');
+    addPlayer(state, 'player-2', 'Two');
+    Rooms.setRoomPassword(state, 'hunter2');
+    await startGame(state, null, null);
+    return state;
+}
+
+test('secrets never reach the live_games row and come back on load', async () => {
+    const supabase = createFakeSupabase();
+    const store = new SupabaseGameStore(supabase);
+    const state = await createStartedGame('ROOM01');
+
+    await store.save('ROOM01', state);
+
+    const [row] = supabase.rowsOf('live_games');
+    assert.equal(row.state.secrets, undefined);
+    assert.ok(!JSON.stringify(row).includes(state.secrets.serverSeed));
+    assert.deepEqual(supabase.rowsOf('live_game_secrets')[0].secrets, state.secrets);
+
+    const loaded = await new SupabaseGameStore(supabase).load('ROOM01');
+    assert.deepEqual(loaded, JSON.parse(JSON.stringify(state)));
+});
+
+test('a save only sends the log entries added since the last one', async () => {
+    const supabase = createFakeSupabase();
+    const store = new SupabaseGameStore(supabase);
+    const state = await createStartedGame('ROOM02');
+
+    await store.save('ROOM02', state);
+    const firstLogWrites = supabase.writes.filter(w => w.table === 'live_game_log').length;
+    assert.equal(firstLogWrites, state.eventLog.length + state.turn_history.length);
+
+    state.eventLog.push({ seq: state.eventLog.length, type: 'TEST_EVENT' });
+    state.message = 'Changed';
+    await store.save('ROOM02', state);
+    await store.save('ROOM02', state);
+
+    const logWrites = supabase.writes.filter(w => w.table === 'live_game_log');
+    assert.equal(logWrites.length, firstLogWrites + 1);
+    assert.equal(logWrites.at(-1).row.entry.type, 'TEST_EVENT');
+    // Unchanged secrets are written once.
+    assert.equal(supabase.writes.filter(w => w.table === 'live_game_secrets').length, 1);
+    assert.deepEqual(supabase.rowsOf('live_games')[0].state.eventLog, []);
+
+    const [loaded] = await new SupabaseGameStore(supabase).loadUnfinished();
+    assert.deepEqual(loaded.eventLog, state.eventLog);
+    assert.equal(loaded.message, 'Changed');
+});
+
+test('a new game under a reused room code starts its own logs', async () => {
+    const supabase = createFakeSupabase();
+    const store = new SupabaseGameStore(supabase);
+    const first = await createStartedGame('ROOM03');
+    first.eventLog.push({ seq: first.eventLog.length, type: 'ONLY_IN_THE_FIRST_GAME' });
+    await store.save('ROOM03', first);
+
+    const second = await createStartedGame('ROOM03');
+    await store.save('ROOM03', second);
+
+    const loaded = await new SupabaseGameStore(supabase).load('ROOM03');
+    assert.equal(loaded.matchId, second.matchId);
+    assert.deepEqual(loaded.eventLog, second.eventLog);
+});
+
+test('rows saved with their logs and secrets inline still load, and are split on the next save', async () => {
+    const supabase = createFakeSupabase();
+    const state = await createStartedGame('ROOM04');
+    supabase.rowsOf('live_games').push({ game_code: 'ROOM04', status: state.gameStatus, state: JSON.parse(JSON.stringify(state)) });
+
+    const store = new SupabaseGameStore(supabase);
+    const loaded = await store.load('ROOM04');
+    assert.deepEqual(loaded, JSON.parse(JSON.stringify(state)));
+
+    await store.save('ROOM04', loaded);
+    assert.equal(supabase.rowsOf('live_games')[0].state.secrets, undefined);
+    assert.deepEqual(await new SupabaseGameStore(supabase).load('ROOM04'), JSON.parse(JSON.stringify(state)));
+});
@@ -0,0 +1,42 @@
+// dream-ludo-server/test/moderation.test.js
+
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ChatChannel, ChatModerator, ModerationReason } = require('../moderation');
+
+function moderate(text, channel = ChatChannel.Group) {
+    return new ChatModerator().moderate('user', text, channel);
+}
+
+test('links are refused, with or without a scheme', () => {
+    for (const text of ['https://example.net/x', 'www.free-coins.biz', 'join ludo-cash.com now', 'bit.ly/abc',
+        'visit ludo365.in', 'pay at paytm.co.in', 'scam.in/pay', 'CHEAP.XYZ']) {
+        assert.equal(moderate(text).rejected, ModerationReason.LinkBlocked, text);
+    }
+});
+
+test('everyday words run together with a full stop are not links', () => {
+    for (const text of ['go.to the next one', 'x.in', 'come.in everyone', 'i win.so easy', 'e.g. this', 'node.js', 'gg.wp']) {
+        assert.equal(moderate(text).rejected, undefined, text);
+    }
+});
+
+test('mobile numbers are refused in whatever way they are written', () => {
+    for (const text of ['call 9876543210', '98765 43210', '+91-98765-43210', '(+91) 98765.43210', '0 98765 43210',
+        '01712-345678', '+880 1712 345678', '+44 20 7946 0958']) {
+        assert.equal(moderate(text).rejected, ModerationReason.PhoneBlocked, text);
+    }
+});
+
+test('other long numbers are not phone numbers', () => {
+    for (const text of ['my score 12345678', '2024-2025 season', 'I have 100000000 coins', 'won 1,000,000 today', '12345 67890 12345']) {
+        assert.equal(moderate(text).rejected, undefined, text);
+    }
+});
+
+test('support chat accepts phone numbers but not links', () => {
+    assert.equal(moderate('I paid from 01712-345678', ChatChannel.Support).text, 'I paid from 01712-345678');
+    assert.equal(moderate('see scam.in/pay', ChatChannel.Support).rejected, ModerationReason.LinkBlocked);
+});
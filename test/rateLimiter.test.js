@@ -0,0 +1,64 @@
+// dream-ludo-server/test/rateLimiter.test.js
+
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FRAME, RateLimiter, RateLimitReason } = require('../rateLimiter');
+
+const NOW = 1000;
+
+function sendChat(limiter, userId, ip, size = 0) {
+    return limiter.check('game', 'SEND_CHAT_MESSAGE', { userId, ip, size }, NOW);
+}
+
+test('a user running out of tokens does not cool down others on the same address', () => {
+    const limiter = new RateLimiter();
+    for (let i = 0; i < 5; i++) assert.equal(sendChat(limiter, 'alice', '10.0.0.1'), null);
+
+    assert.equal(sendChat(limiter, 'alice', '10.0.0.1').reason, RateLimitReason.RateExceeded);
+    assert.equal(sendChat(limiter, 'alice', '10.0.0.1').reason, RateLimitReason.Cooldown);
+    assert.equal(sendChat(limiter, 'bob', '10.0.0.1'), null);
+});
+
+test('an address running out of tokens cools down everyone on it', () => {
+    const limiter = new RateLimiter();
+    // The IP bucket holds four times the user bucket.
+    for (let i = 0; i < 20; i++) assert.equal(sendChat(limiter, `user-${i}`, '10.0.0.2'), null);
+
+    assert.equal(sendChat(limiter, 'late', '10.0.0.2').reason, RateLimitReason.RateExceeded);
+    assert.equal(sendChat(limiter, 'later', '10.0.0.2').reason, RateLimitReason.Cooldown);
+    // Users only pay with their own bucket: 'late' has not been struck.
+    assert.equal(sendChat(limiter, 'late', '10.0.0.3'), null);
+});
+
+test('an oversized message strikes the user, or the address before sign-in', () => {
+    const limiter = new RateLimiter();
+    assert.equal(sendChat(limiter, 'carol', '10.0.0.4', 10000).reason, RateLimitReason.TooLarge);
+    assert.equal(sendChat(limiter, 'dave', '10.0.0.4'), null);
+
+    assert.equal(sendChat(limiter, null, '10.0.0.5', 10000).reason, RateLimitReason.TooLarge);
+    assert.equal(sendChat(limiter, 'erin', '10.0.0.5').reason, RateLimitReason.Cooldown);
+});
+
+test('raw frames have their own budget, checked before the message type', () => {
+    const limiter = new RateLimiter();
+    assert.equal(limiter.getLimit('group-chat', FRAME).key, '*:FRAME');
+    // Frames are counted even when they never parse into a message.
+    for (let i = 0; i < 80; i++) assert.equal(limiter.check('game', FRAME, { userId: 'frank', size: 10 }, NOW), null);
+    assert.equal(limiter.check('game', FRAME, { userId: 'frank', size: 10 }, NOW).reason, RateLimitReason.RateExceeded);
+    assert.equal(sendChat(limiter, 'frank', '10.0.0.6').reason, RateLimitReason.Cooldown);
+});
+
+test('a malformed frame strikes the sender, and repeated ones disconnect them', () => {
+    const limiter = new RateLimiter();
+    const verdict = limiter.reportMalformed('game', { userId: 'gina', ip: '10.0.0.7' }, NOW);
+    assert.equal(verdict.reason, RateLimitReason.Malformed);
+    assert.equal(verdict.disconnect, false);
+    assert.equal(sendChat(limiter, 'gina', '10.0.0.8').reason, RateLimitReason.Cooldown);
+    // Only the user is struck, not everyone on the address.
+    assert.equal(sendChat(limiter, 'hank', '10.0.0.7'), null);
+
+    for (let i = 1; i < 4; i++) limiter.reportMalformed('game', { userId: 'gina' }, NOW);
+    assert.equal(limiter.reportMalformed('game', { userId: 'gina' }, NOW).disconnect, true);
+});
@@ -0,0 +1,45 @@
+// dream-ludo-server/test/ratings.test.js
+
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_RATING, computeRatingChanges, getFinishingRanks } = require('../ratings');
+
+function ratePlayers(...players) {
+    return computeRatingChanges(players.map((p, index) => ({
+        playerId: `player-${index}`, rating: DEFAULT_RATING, gamesPlayed: 20, ...p,
+    })));
+}
+
+test('a 1v1 between equal players moves both ratings by half of K', () => {
+    const changes = ratePlayers({ rank: 1 }, { rank: 2 });
+    assert.equal(changes.get('player-0'), 16);
+    assert.equal(changes.get('player-1'), -16);
+});
+
+test('new players move faster and equal places draw', () => {
+    assert.equal(ratePlayers({ rank: 1, gamesPlayed: 0 }, { rank: 2 }).get('player-0'), 24);
+    const draw = ratePlayers({ rank: 1 }, { rank: 1 });
+    assert.deepEqual([...draw.values()], [0, 0]);
+});
+
+test('beating a stronger player gains more than beating a weaker one', () => {
+    const upset = ratePlayers({ rank: 1, rating: 1400 }, { rank: 2, rating: 1600 });
+    const expected = ratePlayers({ rank: 1, rating: 1600 }, { rank: 2, rating: 1400 });
+    assert.ok(upset.get('player-0') > expected.get('player-0'));
+    assert.equal(upset.get('player-0'), -upset.get('player-1'));
+});
+
+test('a four-player game moves a rating about as much as a 1v1', () => {
+    const changes = ratePlayers({ rank: 1 }, { rank: 2 }, { rank: 3 }, { rank: 4 });
+    assert.deepEqual([...changes.values()], [16, 5, -5, -16]);
+});
+
+test('team mates share a place and players missing from the rankings are placed last', () => {
+    const ranks = getFinishingRanks({
+        players: ['a', 'b', 'c', 'd'].map(playerId => ({ playerId })),
+        rankings: [{ playerId: 'a', rank: 1 }, { playerId: 'c', rank: 1 }, { playerId: 'b', rank: 2 }],
+    });
+    assert.deepEqual(Object.fromEntries(ranks), { a: 1, b: 2, c: 1, d: 3 });
+});
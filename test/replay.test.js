@@ -0,0 +1,83 @@
+// dream-ludo-server/test/replay.test.js
+
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { replayGame } = require('../replay');
+const { GameStatus, GameMode, createNewGame, addPlayer, startGame, initiateRoll, completeRoll, movePiece, advanceTurn } = require('../game');
+
+/**
+ * Plays a game through to the end, always moving the first piece that can move, and calls `check` after every step.
+ */
+async function playGame(state, check) {
+    for (let i = 0; i < 5000 && state.gameStatus === GameStatus.Playing; i++) {
+        const { playerId } = state.players[state.currentPlayerIndex];
+        initiateRoll(state, playerId);
+        const rollResult = await completeRoll(state, playerId, null);
+        check(state);
+        if (rollResult === 'MOVES_AVAILABLE') {
+            await movePiece(state, playerId, state.movablePieces[0], null);
+        } else {
+            await advanceTurn(state, null);
+        }
+        check(state);
+    }
+    assert.equal(state.gameStatus, GameStatus.Finished);
+}
+
+function getBoard(state) {
+    return {
+        gameStatus: state.gameStatus,
+        currentPlayerIndex: state.currentPlayerIndex,
+        diceValue: state.diceValue,
+        movablePieces: state.movablePieces,
+        players: state.players.map(p => ({
+            playerId: p.playerId, score: p.score, hasFinished: p.hasFinished,
+            pieces: p.pieces.map(({ id, state, position }) => ({ id, state, position })),
+        })),
+    };
+}
+
+function assertReplayMatches(state) {
+    assert.deepEqual(getBoard(replayGame(state.eventLog)), getBoard(state));
+}
+
+async function createStartedGame(options, playerCount) {
+    const state = createNewGame('REPLAY', { hostId: 'player-0', ...options });
+    for (let i = 0; i < playerCount; i++) addPlayer(state, `player-${i}`, `Player ${i}`);
+    await startGame(state, 'player-0', null);
+    return state;
+}
+
+test('replaying the log of a classic game gives the live board after every step', async () => {
+    const state = await createStartedGame({ max_players: 2 }, 2);
+    await playGame(state, assertReplayMatches);
+
+    const replay = replayGame(state.eventLog);
+    assert.deepEqual(replay.rankings, state.rankings);
+    assert.deepEqual(replay.winnerIds, [state.winner.playerId]);
+});
+
+test('replaying a quick game keeps the scores', async () => {
+    const state = await createStartedGame({ max_players: 4, mode: GameMode.Quick }, 3);
+    await playGame(state, assertReplayMatches);
+});
+
+test('replaying a team game keeps partners moving each other\'s pieces', async () => {
+    const state = await createStartedGame({ max_players: 4, teams: true }, 4);
+    await playGame(state, assertReplayMatches);
+    assert.deepEqual(replayGame(state.eventLog).winnerIds, state.winner.playerIds);
+});
+
+test('stepping through a replay stops at the requested event', async () => {
+    const state = await createStartedGame({ max_players: 2 }, 2);
+    await playGame(state, () => {});
+
+    const step = Math.floor(state.eventLog.length / 2);
+    const replay = replayGame(state.eventLog, step);
+    assert.equal(replay.step, step);
+    assert.deepEqual(replay.lastEvent, state.eventLog[step - 1]);
+    assert.equal(replayGame(state.eventLog, -5).step, 0);
+    assert.equal(replayGame(state.eventLog, state.eventLog.length + 5).step, state.eventLog.length);
+});
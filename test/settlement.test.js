@@ -0,0 +1,78 @@
+// dream-ludo-server/test/settlement.test.js
+
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { settleGame } = require('../settlement');
+const { createFakeWallet } = require('./fakeSupabase');
+
+const PLAYERS = ['11111111-1111-4111-8111-111111111111', '22222222-2222-4222-8222-222222222222',
+    '33333333-3333-4333-8333-333333333333', '44444444-4444-4444-8444-444444444444'];
+
+let matchCount = 0;
+
+function createFinishedGame(playerCount, state) {
+    matchCount++;
+    return {
+        gameId: 'PAYOUT', matchId: `match-${matchCount}`, entryFee: 10, gameStatus: 'Finished',
+        players: PLAYERS.slice(0, playerCount).map(playerId => ({ playerId, isBot: false })),
+        ...state,
+    };
+}
+
+function getWinnings(supabase, userId) {
+    return supabase.rowsOf('profiles').find(p => p.id === userId).winnings_balance;
+}
+
+test('the winner takes the prize pool less the commission, once', async () => {
+    const supabase = createFakeWallet(PLAYERS.map(id => ({ id })));
+    const state = createFinishedGame(2, { winner: { playerId: PLAYERS[0] } });
+
+    const settlement = await settleGame(state, supabase);
+    assert.equal(settlement.prizePool, 20);
+    assert.equal(settlement.commission, 2);
+    assert.deepEqual(settlement.payouts, [{ playerId: PLAYERS[0], rank: 1, amount: 18 }]);
+
+    delete state.settlement;
+    await settleGame(state, supabase);
+    assert.equal(getWinnings(supabase, PLAYERS[0]), 18);
+    assert.equal(getWinnings(supabase, PLAYERS[1]), 0);
+});
+
+test('a winning team splits the prize and a bot\'s share stays with the house', async () => {
+    const supabase = createFakeWallet(PLAYERS.map(id => ({ id })));
+    const state = createFinishedGame(4, { winner: { teamId: 0, playerIds: [PLAYERS[0], PLAYERS[2]] } });
+    state.players[2].isBot = true;
+
+    const settlement = await settleGame(state, supabase);
+    assert.equal(settlement.prizePool, 30);
+    assert.deepEqual(settlement.payouts, [{ playerId: PLAYERS[0], rank: 1, amount: 13.5 }]);
+    assert.equal(getWinnings(supabase, PLAYERS[0]), 13.5);
+});
+
+test('a prize distribution pays by place, team mates share a place and leavers are never paid', async () => {
+    const supabase = createFakeWallet(PLAYERS.map(id => ({ id })));
+    const state = createFinishedGame(4, {
+        prizeDistribution: [60, 30, 10],
+        rankings: [
+            { rank: 1, playerId: PLAYERS[0], reason: 'finished' },
+            { rank: 2, playerId: PLAYERS[1], reason: 'finished' },
+            { rank: 2, playerId: PLAYERS[2], reason: 'finished' },
+            { rank: 3, playerId: PLAYERS[3], reason: 'left' },
+        ],
+    });
+
+    const { payouts } = await settleGame(state, supabase);
+    assert.deepEqual(payouts.map(p => [p.playerId, p.amount]), [[PLAYERS[0], 21.6], [PLAYERS[1], 5.4], [PLAYERS[2], 5.4]]);
+});
+
+test('a cancelled game refunds every entry fee instead of paying out', async () => {
+    const supabase = createFakeWallet(PLAYERS.map(id => ({ id })));
+    const state = createFinishedGame(2, { isCancelled: true });
+
+    const settlement = await settleGame(state, supabase);
+    assert.deepEqual(settlement.payouts, []);
+    assert.deepEqual(settlement.refunds.map(r => r.playerId), PLAYERS.slice(0, 2));
+    assert.equal(supabase.rowsOf('transactions').filter(t => t.type === 'REFUND').length, 2);
+});
@@ -0,0 +1,56 @@
+// dream-ludo-server/test/support.test.js
+
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Support = require('../support');
+const { createFakeSupabase } = require('./fakeSupabase');
+
+const USER = '11111111-1111-4111-8111-111111111111';
+const OTHER_USER = '22222222-2222-4222-8222-222222222222';
+const ADMIN = '33333333-3333-4333-8333-333333333333';
+const OTHER_ADMIN = '44444444-4444-4444-8444-444444444444';
+
+test('admins see unassigned tickets and their own, not other admins\' tickets', () => {
+    assert.equal(Support.isVisibleToAdmin({ assigned_admin_id: null }, ADMIN), true);
+    assert.equal(Support.isVisibleToAdmin({ assigned_admin_id: ADMIN }, ADMIN), true);
+    assert.equal(Support.isVisibleToAdmin({ assigned_admin_id: OTHER_ADMIN }, ADMIN), false);
+});
+
+test('a ticket can only link one of the user\'s own transactions', async () => {
+    const supabase = createFakeSupabase();
+    const { data: tx } = await supabase.from('transactions').insert({ user_id: OTHER_USER, amount: 10, type: 'DEPOSIT' }).select().single();
+
+    await assert.rejects(Support.createTicket({ userId: USER, transactionId: tx.id }, supabase), { code: 'INVALID_TRANSACTION' });
+    await assert.rejects(Support.createTicket({ userId: USER, transactionId: 'not-a-uuid' }, supabase), { code: 'INVALID_TRANSACTION' });
+
+    const ticket = await Support.createTicket({ userId: OTHER_USER, transactionId: tx.id, category: 'DEPOSIT', subject: '  Missing deposit ' }, supabase);
+    assert.equal(ticket.transaction_id, tx.id);
+    assert.equal(ticket.subject, 'Missing deposit');
+    assert.equal(ticket.status, Support.TicketStatus.Open);
+});
+
+test('an admin reply puts the ticket in PENDING and the user\'s answer opens it again', async () => {
+    const supabase = createFakeSupabase();
+    let ticket = await Support.createTicket({ userId: USER }, supabase);
+
+    ({ ticket } = await Support.addMessage(ticket, { text: 'Hello?', fromAdmin: true }, supabase));
+    assert.equal(ticket.status, Support.TicketStatus.Pending);
+    assert.ok(ticket.admin_last_read_at);
+
+    ({ ticket } = await Support.addMessage(ticket, { username: 'Player', text: 'Still broken', fromAdmin: false }, supabase));
+    assert.equal(ticket.status, Support.TicketStatus.Open);
+    assert.deepEqual((await Support.getMessages(ticket.id, supabase)).map(m => m.username), ['Admin', 'Player']);
+});
+
+test('ticket updates reject unknown values', async () => {
+    const supabase = createFakeSupabase();
+    const ticket = await Support.createTicket({ userId: USER }, supabase);
+
+    await assert.rejects(Support.updateTicket(ticket.id, { status: 'CLOSED' }, supabase), { code: 'INVALID_STATUS' });
+    await assert.rejects(Support.updateTicket(ticket.id, { assigned_admin_id: 'admin' }, supabase), { code: 'INVALID_ADMIN' });
+    const updated = await Support.updateTicket(ticket.id, { assigned_admin_id: ADMIN, priority: 'HIGH' }, supabase);
+    assert.equal(updated.assigned_admin_id, ADMIN);
+    assert.equal(updated.priority, 'HIGH');
+});
@@ -0,0 +1,140 @@
+// dream-ludo-server/test/wallet.test.js
+
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Wallet = require('../wallet');
+const { createFakeWallet } = require('./fakeSupabase');
+
+const USER = '11111111-1111-4111-8111-111111111111';
+
+function getProfile(supabase, userId = USER) {
+    return supabase.rowsOf('profiles').find(p => p.id === userId);
+}
+
+async function createPendingDeposit(supabase, amount = 100) {
+    const { data } = await supabase.from('transactions')
+        .insert({ user_id: USER, amount, type: 'DEPOSIT', status: 'PENDING' }).select().single();
+    return data;
+}
+
+test('a confirmed deposit is credited once', async () => {
+    const supabase = createFakeWallet([{ id: USER }]);
+    const deposit = await createPendingDeposit(supabase);
+
+    const completed = await Wallet.completeConfirmedCredit(deposit.id, {}, supabase);
+    assert.equal(completed.status, 'COMPLETED');
+    assert.equal(await Wallet.completeConfirmedCredit(deposit.id, {}, supabase), null);
+    assert.equal(getProfile(supabase).deposit_balance, 100);
+});
+
+test('a deposit cancelled while the payment went through is credited once the gateway confirms it', async () => {
+    const supabase = createFakeWallet([{ id: USER }]);
+    const deposit = await createPendingDeposit(supabase);
+
+    await Wallet.cancelTransaction(deposit.id, 'FAILED', { description: 'Cancelled by user' }, supabase);
+    assert.equal(await Wallet.completeTransaction(deposit.id, {}, supabase), null);
+    assert.equal(getProfile(supabase).deposit_balance, 0);
+
+    const completed = await Wallet.completeConfirmedCredit(deposit.id, { description: 'Auto Deposit' }, supabase);
+    assert.equal(completed.status, 'COMPLETED');
+    assert.equal(await Wallet.completeConfirmedCredit(deposit.id, {}, supabase), null);
+    assert.equal(getProfile(supabase).deposit_balance, 100);
+    assert.equal(supabase.rowsOf('wallet_ledger').length, 1);
+});
+
+test('a confirmed credit never reopens a failed debit', async () => {
+    const supabase = createFakeWallet([{ id: USER, winnings_balance: 50 }]);
+    const { data: withdrawal } = await supabase.from('transactions')
+        .insert({ user_id: USER, amount: 20, type: 'WITHDRAWAL', status: 'FAILED' }).select().single();
+
+    assert.equal(await Wallet.completeConfirmedCredit(withdrawal.id, {}, supabase), null);
+    assert.equal(getProfile(supabase).winnings_balance, 50);
+});
+
+async function requestWithdrawal(supabase, amount) {
+    const { transaction } = await Wallet.postTransaction({
+        userId: USER, amount, type: 'WITHDRAWAL', status: 'PENDING', idempotencyKey: `withdrawal:${amount}`
+    }, supabase);
+    return transaction;
+}
+
+test('a withdrawal holds its funds until rejected, and is released once', async () => {
+    const supabase = createFakeWallet([{ id: USER, winnings_balance: 50 }]);
+    const withdrawal = await requestWithdrawal(supabase, 20);
+    assert.equal(getProfile(supabase).winnings_balance, 30);
+
+    const rejected = await Wallet.cancelTransaction(withdrawal.id, 'REJECTED', {}, supabase);
+    assert.equal(rejected.status, 'REJECTED');
+    assert.equal(await Wallet.cancelTransaction(withdrawal.id, 'REJECTED', {}, supabase), null);
+    assert.equal(getProfile(supabase).winnings_balance, 50);
+});
+
+test('approving a withdrawal takes its funds once', async () => {
+    const supabase = createFakeWallet([{ id: USER, winnings_balance: 50 }]);
+    const withdrawal = await requestWithdrawal(supabase, 20);
+
+    assert.equal((await Wallet.completeTransaction(withdrawal.id, {}, supabase)).status, 'COMPLETED');
+    assert.equal(await Wallet.completeTransaction(withdrawal.id, {}, supabase), null);
+    assert.equal(getProfile(supabase).winnings_balance, 30);
+});
+
+test('a withdrawal whose hold never went through is held on approval and not released on rejection', async () => {
+    const supabase = createFakeWallet([{ id: USER, winnings_balance: 50 }]);
+    const { data: first } = await supabase.from('transactions')
+        .insert({ user_id: USER, amount: 20, type: 'WITHDRAWAL', status: 'PENDING' }).select().single();
+    const { data: second } = await supabase.from('transactions')
+        .insert({ user_id: USER, amount: 20, type: 'WITHDRAWAL', status: 'PENDING' }).select().single();
+
+    await Wallet.completeTransaction(first.id, {}, supabase);
+    assert.equal(getProfile(supabase).winnings_balance, 30);
+
+    await Wallet.cancelTransaction(second.id, 'REJECTED', {}, supabase);
+    assert.equal(getProfile(supabase).winnings_balance, 30);
+
+    const { data: third } = await supabase.from('transactions')
+        .insert({ user_id: USER, amount: 40, type: 'WITHDRAWAL', status: 'PENDING' }).select().single();
+    await assert.rejects(Wallet.completeTransaction(third.id, {}, supabase), { code: 'INSUFFICIENT_FUNDS' });
+    assert.equal(supabase.rowsOf('transactions').find(tx => tx.id === third.id).status, 'PENDING');
+    assert.equal(getProfile(supabase).winnings_balance, 30);
+});
+
+test('posting the same idempotency key twice moves the balance once', async () => {
+    const supabase = createFakeWallet([{ id: USER }]);
+    const entry = { userId: USER, amount: 25, type: 'WINNINGS', idempotencyKey: 'winnings:match:user' };
+
+    const first = await Wallet.postTransaction(entry, supabase);
+    const second = await Wallet.postTransaction(entry, supabase);
+    assert.equal(first.duplicate, false);
+    assert.equal(second.duplicate, true);
+    assert.equal(second.transaction.id, first.transaction.id);
+    assert.equal(getProfile(supabase).winnings_balance, 25);
+    assert.equal(supabase.rowsOf('wallet_ledger').length, 1);
+});
+
+test('a retry finishes a transaction whose first attempt stopped halfway', async () => {
+    const supabase = createFakeWallet([{ id: USER }]);
+    await supabase.from('transactions')
+        .insert({ user_id: USER, amount: 25, type: 'WINNINGS', status: 'PENDING', idempotency_key: 'winnings:halfway' });
+
+    const { transaction, duplicate } = await Wallet.postTransaction({
+        userId: USER, amount: 25, type: 'WINNINGS', idempotencyKey: 'winnings:halfway'
+    }, supabase);
+    assert.equal(duplicate, true);
+    assert.equal(transaction.status, 'COMPLETED');
+    assert.equal(getProfile(supabase).winnings_balance, 25);
+});
+
+test('a debit refused for insufficient funds leaves no row behind, so the same key can pay later', async () => {
+    const supabase = createFakeWallet([{ id: USER, deposit_balance: 5 }]);
+    const entry = { userId: USER, amount: 10, type: 'ENTRY_FEE', idempotencyKey: 'entry:match:user' };
+
+    await assert.rejects(Wallet.postTransaction(entry, supabase), { code: 'INSUFFICIENT_FUNDS' });
+    assert.equal(supabase.rowsOf('transactions').length, 0);
+
+    getProfile(supabase).deposit_balance = 20;
+    const { transaction } = await Wallet.postTransaction(entry, supabase);
+    assert.equal(transaction.status, 'COMPLETED');
+    assert.equal(getProfile(supabase).deposit_balance, 10);
+});
@@ -0,0 +1,181 @@
+// dream-ludo-server/turns.js
+
+"use strict";
+
+/**
+ * The timed side of a game: the roll animation, the pause before an unusable roll passes the turn, the
+ * one-second turn timer (with the quick-mode clock) and the bots' moves.
+ *
+ * A `TurnRunner` drives one game entry `{ state, queue }` of the server. Every step runs inside the game's
+ * `GameActionQueue`, either as a named timer or from the game loop, and `broadcast(options)` is called after
+ * every change to the state; the server sends and persists it there and asks for the next bot step.
+ */
+
+const {
+    GameStatus, initiateRoll, completeRoll, movePiece, handleMissedTurn, recordInactivity, advanceTurn,
+    isWithinReconnectGrace, tickGameClock
+} = require('./game');
+const { BotDifficulty, chooseMove } = require('./bot');
+
+const TURN_DELAYS = {
+    rollAnimation: 500,
+    // How long a roll that ends the turn stays on screen before the next player's turn.
+    turnEnd: { PENALTY: 2000, NO_MOVES: 1000 },
+    botThink: 1000,
+    tick: 1000,
+};
+
+class TurnRunner {
+    constructor(game, { broadcast, delays = TURN_DELAYS }, supabase) {
+        this.game = game;
+        this.broadcast = broadcast;
+        this.delays = delays;
+        this.supabase = supabase;
+        this.loop = null;
+        this.tickQueued = false;
+    }
+
+    /**
+     * Starts the one-second game loop, once.
+     */
+    start() {
+        if (this.loop) return;
+        console.log(`Starting game loop for ${this.game.state.gameId}`);
+        this.loop = setInterval(() => {
+            if (this.game.state.gameStatus === GameStatus.Finished) return this.stop();
+            // Skip a second rather than pile up ticks behind a slow action.
+            if (this.tickQueued) return;
+            this.tickQueued = true;
+            this.game.queue.enqueue(() => {
+                this.tickQueued = false;
+                return this.tick();
+            }).catch(() => {}); // Logged by the queue.
+        }, this.delays.tick);
+    }
+
+    stop() {
+        clearInterval(this.loop);
+        this.loop = null;
+    }
+
+    /**
+     * Rolls for the current player: shows the rolling animation, draws the dice after a short delay and
+     * moves on to the next player after a pause when the roll cannot be used. Runs inside the queue.
+     */
+    roll(playerId) {
+        const { state, queue } = this.game;
+        if (!initiateRoll(state, playerId)) return;
+        this.broadcast();
+        queue.schedule('turn', this.delays.rollAnimation, async () => {
+            const rollResult = await completeRoll(state, playerId, this.supabase);
+            this.broadcast();
+            if (this.delays.turnEnd[rollResult]) {
+                queue.schedule('turn', this.delays.turnEnd[rollResult], async () => {
+                    await advanceTurn(state, this.supabase);
+                    this.broadcast();
+                });
+            }
+        });
+    }
+
+    /**
+     * One second of the game loop: the quick-mode clock, the turn timer and what happens when it runs out.
+     * Runs inside the queue.
+     */
+    async tick() {
+        const { state } = this.game;
+        if (state.gameStatus !== GameStatus.Playing) return;
+
+        let ticked = false;
+        // The quick-mode game clock keeps running through every phase of a turn.
+        if (state.clock) {
+            if (await tickGameClock(state, this.supabase)) {
+                this.broadcast();
+                return;
+            }
+            ticked = true;
+        }
+
+        // The turn timer covers both the roll phase and the move phase.
+        const awaitingPlayer = state.diceValue === null || state.movablePieces.length > 0;
+        if (awaitingPlayer && !state.isRolling) {
+            const currentPlayer = state.players[state.currentPlayerIndex];
+            // Hold the turn while a dropped player may still come back; once the grace is over, skip straight away
+            // or, when the game allows it, let a bot play for them until they return.
+            if (isWithinReconnectGrace(currentPlayer)) {
+                // Waiting for the player to reconnect.
+            } else if (!currentPlayer.isConnected && state.botTakeover) {
+                if (!currentPlayer.isBotControlled) {
+                    currentPlayer.isBotControlled = true;
+                    this.broadcast();
+                }
+            } else if (state.turnTimeLeft > 0 && currentPlayer.isConnected) {
+                state.turnTimeLeft--;
+                ticked = true;
+            } else if (!currentPlayer.isConnected) {
+                await handleMissedTurn(state, this.supabase);
+                this.broadcast();
+                return;
+            } else {
+                console.log(`Time up for player in game ${state.gameId}`);
+                await this.autoPlay();
+                return;
+            }
+        }
+        if (ticked) this.broadcast({ persist: false });
+    }
+
+    /**
+     * Plays the rest of the current player's turn when their timer runs out: rolls for them if they have
+     * not rolled yet and moves the piece the medium bot heuristic picks. Counts as an inactive turn.
+     */
+    async autoPlay() {
+        const { state } = this.game;
+        const player = state.players[state.currentPlayerIndex];
+
+        if (await recordInactivity(state, this.supabase)) {
+            this.broadcast();
+            return;
+        }
+
+        if (state.diceValue === null) {
+            initiateRoll(state, player.playerId);
+            const rollResult = await completeRoll(state, player.playerId, this.supabase, { autoPlayed: true });
+            if (rollResult === 'PENALTY' || rollResult === 'NO_MOVES') await advanceTurn(state, this.supabase);
+        }
+        if (state.diceValue !== null && state.movablePieces.length > 0) {
+            const pieceId = chooseMove(state, BotDifficulty.Medium);
+            await movePiece(state, player.playerId, pieceId, this.supabase, { autoPlayed: true });
+        }
+        this.broadcast();
+    }
+
+    /**
+     * When it is a bot's turn (or a bot is standing in for a disconnected player), plays its next step
+     * through the same roll/move flow a human uses. Called after every broadcast; at most one step is pending.
+     */
+    scheduleBot() {
+        const { state, queue } = this.game;
+        if (queue.isScheduled('bot') || state.gameStatus !== GameStatus.Playing) return;
+        const player = state.players[state.currentPlayerIndex];
+        if (!player || !(player.isBot || player.isBotControlled) || state.isRolling) return;
+
+        queue.schedule('bot', this.delays.botThink, async () => {
+            const current = state.players[state.currentPlayerIndex];
+            if (state.gameStatus !== GameStatus.Playing || !(current.isBot || current.isBotControlled) || state.isRolling) return;
+            try {
+                if (state.diceValue === null) {
+                    this.roll(current.playerId);
+                } else if (state.movablePieces.length > 0) {
+                    const pieceId = chooseMove(state, current.botDifficulty || BotDifficulty.Medium);
+                    await movePiece(state, current.playerId, pieceId, this.supabase);
+                    this.broadcast();
+                }
+            } catch (e) {
+                console.error(`Bot turn failed in ${state.gameId}:`, e);
+            }
+        });
+    }
+}
+
+module.exports = { TURN_DELAYS, TurnRunner };
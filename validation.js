@@ -0,0 +1,15 @@
+// dream-ludo-server/validation.js
+
+"use strict";
+
+/**
+ * Checks for values that come from clients and end up in database queries.
+ */
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function isValidUuid(id) {
+    return typeof id === 'string' && UUID_PATTERN.test(id);
+}
+
+module.exports = { isValidUuid };
@@ -0,0 +1,244 @@
+// dream-ludo-server/wallet.js
+
+"use strict";
+
+/**
+ * Every change to a user's balance goes through this module.
+ *
+ * - A `transactions` row is the source of truth for a balance change. Rows created here carry a unique
+ *   `idempotency_key`, so replaying the same operation finds the existing row instead of paying twice.
+ * - Status changes are compare-and-set updates (`... WHERE status = 'PENDING'`), so only one caller can
+ *   ever move a transaction out of PENDING.
+ * - Balance changes are made by the `apply_wallet_entry` database function
+ *   (supabase/migrations/20261019190000_wallet_ledger.sql), which changes the status, the balance and appends
+ *   to `wallet_ledger` in one database transaction. A transaction is therefore never COMPLETED without its
+ *   credit, and the ledger's unique key makes applying the same change twice a no-op.
+ */
+
+const BalanceType = { Deposit: 'deposit_balance', Winnings: 'winnings_balance' };
+const TransactionStatus = { Pending: 'PENDING', Completed: 'COMPLETED', Failed: 'FAILED', Rejected: 'REJECTED' };
+
+// Which balance a transaction type touches and in which direction.
+const TRANSACTION_EFFECTS = {
+    DEPOSIT: { balance: BalanceType.Deposit, sign: 1 },
+    REFERRAL_BONUS: { balance: BalanceType.Deposit, sign: 1 },
+    ENTRY_FEE: { balance: BalanceType.Deposit, sign: -1 },
+    REFUND: { balance: BalanceType.Deposit, sign: 1 },
+    WINNINGS: { balance: BalanceType.Winnings, sign: 1 },
+    WITHDRAWAL: { balance: BalanceType.Winnings, sign: -1 },
+};
+
+const UNIQUE_VIOLATION = '23505';
+
+// Errors raised by apply_wallet_entry that callers can act on.
+const DATABASE_ERRORS = {
+    INSUFFICIENT_FUNDS: 'Insufficient balance.',
+    PROFILE_NOT_FOUND: 'Profile not found.',
+};
+
+class WalletError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'WalletError';
+        this.code = code;
+    }
+}
+
+function getEffect(type) {
+    const effect = TRANSACTION_EFFECTS[type];
+    if (!effect) throw new WalletError('UNKNOWN_TYPE', `Unknown transaction type: ${type}`);
+    return effect;
+}
+
+/**
+ * Debits hold funds from the moment they are requested, credits only count once completed.
+ */
+function countsTowardsBalance(tx) {
+    const { sign } = getEffect(tx.type);
+    if (tx.status === TransactionStatus.Completed) return true;
+    return sign < 0 && tx.status === TransactionStatus.Pending;
+}
+
+/**
+ * Applies the balance effect of a transaction once. With `fromStatus` the transaction is first moved to
+ * `toStatus`, in the same database transaction. Returns the transaction, or null if it was not in `fromStatus`.
+ */
+async function applyEntry(tx, direction, reason, { fromStatus = null, toStatus = null, updates = {} } = {}, supabase) {
+    const { balance, sign } = getEffect(tx.type);
+    const { data, error } = await supabase.rpc('apply_wallet_entry', {
+        p_transaction_id: tx.id,
+        p_reason: reason,
+        p_balance_type: balance,
+        p_amount: Number(tx.amount) * sign * direction,
+        p_from_status: fromStatus,
+        p_to_status: toStatus,
+        p_updates: updates,
+    });
+    if (error) {
+        if (DATABASE_ERRORS[error.message]) throw new WalletError(error.message, DATABASE_ERRORS[error.message]);
+        throw error;
+    }
+    return data;
+}
+
+/**
+ * Moves a transaction out of `fromStatus`. Returns the updated row, or null if another caller got there first.
+ */
+async function transitionTransaction(transactionId, fromStatus, updates, supabase) {
+    const { data, error } = await supabase.from('transactions')
+        .update(updates).eq('id', transactionId).eq('status', fromStatus)
+        .select().maybeSingle();
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Creates a transaction and applies its balance effect.
+ * Calling it again with the same idempotency key returns the original row with `duplicate: true`, or finishes
+ * it if the first call died halfway. A key whose attempt failed stays FAILED: retrying needs a new key.
+ */
+async function postTransaction({ userId, type, amount, idempotencyKey, status = TransactionStatus.Completed, ...fields }, supabase) {
+    if (!idempotencyKey) throw new WalletError('MISSING_KEY', 'An idempotency key is required.');
+    if (!(Number(amount) > 0)) throw new WalletError('INVALID_AMOUNT', 'Amount must be positive.');
+    const { balance, sign } = getEffect(type);
+
+    if (sign < 0) {
+        const { data: profile } = await supabase.from('profiles').select(balance).eq('id', userId).single();
+        // A replayed debit that already went through finds the balance spent, so it is only refused if new.
+        if ((!profile || Number(profile[balance] || 0) < Number(amount)) && !await findTransaction(idempotencyKey, supabase)) {
+            throw new WalletError('INSUFFICIENT_FUNDS', 'Insufficient balance.');
+        }
+    }
+
+    // The row starts out PENDING and only reaches `status` together with its balance change.
+    let { data: tx, error } = await supabase.from('transactions').insert({
+        user_id: userId, amount, type, status: TransactionStatus.Pending, idempotency_key: idempotencyKey, ...fields
+    }).select().single();
+
+    let duplicate = false;
+    if (error) {
+        if (error.code !== UNIQUE_VIOLATION) throw error;
+        tx = await findTransaction(idempotencyKey, supabase);
+        duplicate = true;
+    }
+
+    if (tx.status === TransactionStatus.Pending && countsTowardsBalance({ ...tx, status })) {
+        try {
+            const transition = { fromStatus: TransactionStatus.Pending, toStatus: status };
+            tx = await applyEntry(tx, 1, 'apply', transition, supabase) || await getTransaction(tx.id, supabase);
+        } catch (e) {
+            // The database rolled the whole entry back, so the attempt failed for good. Other errors (the
+            // connection dropping) leave the row PENDING for a retry with the same key to finish.
+            if (e instanceof WalletError) {
+                await transitionTransaction(tx.id, TransactionStatus.Pending, {
+                    status: TransactionStatus.Failed, description: `${tx.description || type} (${e.message})`
+                }, supabase);
+            }
+            throw e;
+        }
+    }
+    if (tx.status === TransactionStatus.Failed) {
+        throw new WalletError('ATTEMPT_FAILED', `Transaction ${idempotencyKey} failed, retry it with a new idempotency key.`);
+    }
+    return { transaction: tx, duplicate };
+}
+
+async function findTransaction(idempotencyKey, supabase) {
+    const { data, error } = await supabase.from('transactions').select('*').eq('idempotency_key', idempotencyKey).maybeSingle();
+    if (error) throw error;
+    return data;
+}
+
+async function getTransaction(transactionId, supabase) {
+    const { data, error } = await supabase.from('transactions').select('*').eq('id', transactionId).maybeSingle();
+    if (error) throw error;
+    return data;
+}
+
+async function hasLedgerEntry(tx, reason, supabase) {
+    const { count, error } = await supabase.from('wallet_ledger')
+        .select('idempotency_key', { count: 'exact', head: true }).eq('idempotency_key', `${tx.id}:${reason}`);
+    if (error) throw error;
+    return count > 0;
+}
+
+/**
+ * Completes a PENDING transaction exactly once and applies its balance effect.
+ * Returns the completed row, or null if it was not pending (already settled or failed).
+ */
+async function completeTransaction(transactionId, updates, supabase) {
+    const tx = await getTransaction(transactionId, supabase);
+    if (!tx) return null;
+    // A debit's hold was normally applied when it was created. If that failed halfway it is applied now; the
+    // ledger key makes this a no-op for a hold that is in place.
+    return applyEntry(tx, 1, 'apply', { fromStatus: TransactionStatus.Pending, toStatus: TransactionStatus.Completed, updates }, supabase);
+}
+
+/**
+ * Completes a credit whose payment the gateway has confirmed. Unlike `completeTransaction` this also completes
+ * one that was given up on as FAILED in the meantime (the user left the payment page while the payment was
+ * still going through): the money has arrived, so it is credited after all, once.
+ * Returns the completed row, or null if it was already completed.
+ */
+async function completeConfirmedCredit(transactionId, updates, supabase) {
+    const completed = await completeTransaction(transactionId, updates, supabase);
+    if (completed) return completed;
+    const tx = await getTransaction(transactionId, supabase);
+    if (!tx || tx.status !== TransactionStatus.Failed || getEffect(tx.type).sign < 0) return null;
+    return applyEntry(tx, 1, 'apply', { fromStatus: TransactionStatus.Failed, toStatus: TransactionStatus.Completed, updates }, supabase);
+}
+
+/**
+ * Fails or rejects a PENDING transaction exactly once, releasing any funds it was holding.
+ */
+async function cancelTransaction(transactionId, status, updates, supabase) {
+    const tx = await getTransaction(transactionId, supabase);
+    if (!tx) return null;
+    if (getEffect(tx.type).sign > 0) {
+        return transitionTransaction(transactionId, TransactionStatus.Pending, { ...updates, status }, supabase);
+    }
+    // Only a hold that went through is released.
+    if (!await hasLedgerEntry(tx, 'apply', supabase)) {
+        const cancelled = await transitionTransaction(transactionId, TransactionStatus.Pending, { ...updates, status }, supabase);
+        // A retry of the request may have put the hold in place just before; the release key keeps this to once.
+        if (cancelled && await hasLedgerEntry(tx, 'apply', supabase)) await applyEntry(tx, -1, 'release', {}, supabase);
+        return cancelled;
+    }
+    return applyEntry(tx, -1, 'release', { fromStatus: TransactionStatus.Pending, toStatus: status, updates }, supabase);
+}
+
+/**
+ * Recomputes a user's balances from the `transactions` table and compares them with `profiles`.
+ */
+async function reconcileBalance(userId, supabase) {
+    const balances = Object.values(BalanceType);
+    const [{ data: profile, error: profileError }, { data: transactions, error: txError }] = await Promise.all([
+        supabase.from('profiles').select(balances.join(', ')).eq('id', userId).single(),
+        supabase.from('transactions').select('type, amount, status').eq('user_id', userId),
+    ]);
+    if (profileError || !profile) throw new WalletError('PROFILE_NOT_FOUND', `Profile ${userId} not found.`);
+    if (txError) throw txError;
+
+    const expected = Object.fromEntries(balances.map(b => [b, 0]));
+    const unknownTypes = new Set();
+    for (const tx of transactions || []) {
+        const effect = TRANSACTION_EFFECTS[tx.type];
+        if (!effect) { unknownTypes.add(tx.type); continue; }
+        if (countsTowardsBalance(tx)) expected[effect.balance] += Number(tx.amount) * effect.sign;
+    }
+
+    const report = { userId, balances: {}, isConsistent: true, unknownTypes: [...unknownTypes] };
+    for (const balance of balances) {
+        const actual = Number(profile[balance] || 0);
+        const drift = Math.round((actual - expected[balance]) * 100) / 100;
+        report.balances[balance] = { expected: expected[balance], actual, drift };
+        if (drift !== 0) report.isConsistent = false;
+    }
+    return report;
+}
+
+module.exports = {
+    BalanceType, TransactionStatus, TRANSACTION_EFFECTS, WalletError,
+    postTransaction, completeTransaction, completeConfirmedCredit, cancelTransaction,
+    reconcileBalance
+};